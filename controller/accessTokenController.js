@@ -0,0 +1,105 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import PersonalAccessToken, {
+  TOKEN_SCOPES,
+} from "../models/PersonalAccessToken.js";
+import asyncHandler from "express-async-handler";
+import { hashToken } from "../utils/sessions.js";
+import { disconnectAccessToken } from "../utils/realtime.js";
+
+const MAX_TOKEN_DAYS = 365;
+
+// @desc    Create personal access token
+// @route   POST /api/auth/tokens
+// @access  Private
+export const createAccessToken = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays = 30 } = req.body;
+
+  if (!name) {
+    res.status(400);
+    throw new Error("Token name is required");
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    res.status(400);
+    throw new Error("At least one scope is required");
+  }
+
+  const invalidScope = scopes.find((scope) => !TOKEN_SCOPES.includes(scope));
+  if (invalidScope) {
+    res.status(400);
+    throw new Error(
+      `Invalid scope "${invalidScope}". Allowed scopes: ${TOKEN_SCOPES.join(
+        ", "
+      )}`
+    );
+  }
+
+  if (
+    !Number.isInteger(expiresInDays) ||
+    expiresInDays < 1 ||
+    expiresInDays > MAX_TOKEN_DAYS
+  ) {
+    res.status(400);
+    throw new Error(`expiresInDays must be between 1 and ${MAX_TOKEN_DAYS}`);
+  }
+
+  const token = `pmt_${crypto.randomBytes(32).toString("base64url")}`;
+
+  const accessToken = await PersonalAccessToken.create({
+    user: req.user._id,
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, 12),
+    scopes: [...new Set(scopes)],
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+
+  const { tokenHash, ...data } = accessToken.toObject();
+
+  // The token itself is only ever shown here
+  res.status(201).json({
+    success: true,
+    data: { ...data, token },
+  });
+});
+
+// @desc    Get current user's personal access tokens
+// @route   GET /api/auth/tokens
+// @access  Private
+export const getAccessTokens = asyncHandler(async (req, res) => {
+  const tokens = await PersonalAccessToken.find({
+    user: req.user._id,
+    revokedAt: null,
+  }).sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    count: tokens.length,
+    data: tokens,
+  });
+});
+
+// @desc    Revoke personal access token
+// @route   DELETE /api/auth/tokens/:id
+// @access  Private
+export const revokeAccessToken = asyncHandler(async (req, res) => {
+  const result = mongoose.isValidObjectId(req.params.id)
+    ? await PersonalAccessToken.updateOne(
+        { _id: req.params.id, user: req.user._id, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      )
+    : null;
+
+  if (!result || result.modifiedCount === 0) {
+    res.status(404);
+    throw new Error("Access token not found");
+  }
+
+  disconnectAccessToken(req.params.id);
+
+  res.json({
+    success: true,
+    message: "Access token revoked successfully",
+  });
+});
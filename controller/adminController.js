@@ -0,0 +1,604 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import AuthThrottle from "../models/AuthThrottle.js";
+import Setting from "../models/Setting.js";
+import User from "../models/User.js";
+import Project from "../models/Project.js";
+import Issue from "../models/Issue.js";
+import AuditLog, { AUDIT_ACTIONS } from "../models/AuditLog.js";
+import asyncHandler from "express-async-handler";
+import sendEmail from "../utils/email.js";
+import { escapeRegex } from "../utils/issueQuery.js";
+import { revokeAllSessions, revokeAllAccessTokens } from "../utils/sessions.js";
+import { disconnectUserEverywhere } from "../utils/realtime.js";
+import { notify } from "../utils/notifications.js";
+import { publishEvent } from "../utils/events.js";
+import { clearTwoFactorPolicyCache } from "../utils/twoFactor.js";
+import { recordAudit } from "../utils/audit.js";
+
+const TWO_FACTOR_ROLES = ["admin", "manager"];
+const USER_ROLES = ["admin", "manager", "developer", "viewer"];
+
+// Forced reset links stay valid longer than self-service ones
+const FORCED_RESET_EXPIRE_MS = 24 * 60 * 60 * 1000;
+
+const USER_FIELDS =
+  "name email avatar role emailVerified twoFactor.enabled oidc.issuer deactivatedAt createdAt";
+
+const findUserOr404 = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findById(req.params.id)
+    : null;
+
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  return user;
+};
+
+// Admins cannot demote or deactivate themselves, so the instance always
+// keeps at least one admin who can undo a mistake
+const assertNotSelf = (req, res, user) => {
+  if (user._id.toString() === req.user._id.toString()) {
+    res.status(400);
+    throw new Error("You cannot change your own account here");
+  }
+};
+
+// The required roles plus how many of their users still have to enroll
+const getTwoFactorPolicy = async (settings) => ({
+  requiredRoles: settings.twoFactorRequiredRoles,
+  unenrolledUsers: settings.twoFactorRequiredRoles.length
+    ? await User.countDocuments({
+        role: { $in: settings.twoFactorRequiredRoles },
+        "twoFactor.enabled": { $ne: true },
+      })
+    : 0,
+  updatedAt: settings.updatedAt,
+});
+
+// @desc    Get login, registration and password reset lockouts
+// @route   GET /api/admin/lockouts?active=false
+// @access  Private (Admin)
+export const getLockouts = asyncHandler(async (req, res) => {
+  const { active = "true", page = 1, limit = 20 } = req.query;
+
+  // Active lockouts by default, otherwise everything currently tracked
+  const filter =
+    active === "false"
+      ? { $or: [{ lockouts: { $gt: 0 } }, { attempts: { $gt: 0 } }] }
+      : { lockedUntil: { $gt: new Date() } };
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const lockouts = await AuthThrottle.find(filter)
+    .sort({ lockedUntil: -1, lastAttemptAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await AuthThrottle.countDocuments(filter);
+
+  res.json({
+    success: true,
+    count: lockouts.length,
+    total,
+    totalPages: Math.ceil(total / limitNum),
+    currentPage: pageNum,
+    data: lockouts,
+  });
+});
+
+// @desc    Clear a lockout and its attempt history
+// @route   DELETE /api/admin/lockouts/:id
+// @access  Private (Admin)
+export const clearLockout = asyncHandler(async (req, res) => {
+  let lockout = null;
+
+  if (mongoose.isValidObjectId(req.params.id)) {
+    await mongoose.connection.transaction(async (session) => {
+      lockout = await AuthThrottle.findByIdAndDelete(req.params.id, {
+        session,
+      });
+      if (!lockout) return;
+
+      await recordAudit(
+        req,
+        {
+          action: "lockout.cleared",
+          targetType: "AuthThrottle",
+          target: lockout,
+          targetLabel: `${lockout.action} ${lockout.scope} ${lockout.identifier}`,
+          from: {
+            lockedUntil: lockout.lockedUntil,
+            lockouts: lockout.lockouts,
+          },
+        },
+        { session }
+      );
+    });
+  }
+
+  if (!lockout) {
+    res.status(404);
+    throw new Error("Lockout not found");
+  }
+
+  res.json({
+    success: true,
+    message: `Cleared ${lockout.action} lockout for ${lockout.scope} ${lockout.identifier}`,
+  });
+});
+
+// @desc    Get the two-factor authentication requirement
+// @route   GET /api/admin/settings/two-factor
+// @access  Private (Admin)
+export const getTwoFactorSettings = asyncHandler(async (req, res) => {
+  const settings = await Setting.getGlobal();
+
+  res.json({
+    success: true,
+    data: await getTwoFactorPolicy(settings),
+  });
+});
+
+// @desc    Require two-factor authentication for roles
+// @route   PUT /api/admin/settings/two-factor
+// @access  Private (Admin)
+export const updateTwoFactorSettings = asyncHandler(async (req, res) => {
+  const { requiredRoles } = req.body;
+
+  if (
+    !Array.isArray(requiredRoles) ||
+    requiredRoles.some((role) => !TWO_FACTOR_ROLES.includes(role))
+  ) {
+    res.status(400);
+    throw new Error(
+      `requiredRoles must be a list of: ${TWO_FACTOR_ROLES.join(", ")}`
+    );
+  }
+
+  const settings = await Setting.getGlobal();
+  const previousRoles = [...settings.twoFactorRequiredRoles];
+  settings.twoFactorRequiredRoles = [...new Set(requiredRoles)];
+  settings.updatedBy = req.user._id;
+
+  await mongoose.connection.transaction(async (session) => {
+    await settings.save({ session });
+    await recordAudit(
+      req,
+      {
+        action: "settings.two_factor_updated",
+        targetType: "Setting",
+        target: settings,
+        targetLabel: "twoFactorRequiredRoles",
+        from: previousRoles,
+        to: settings.twoFactorRequiredRoles,
+      },
+      { session }
+    );
+  });
+
+  clearTwoFactorPolicyCache();
+
+  res.json({
+    success: true,
+    data: await getTwoFactorPolicy(settings),
+  });
+});
+
+// @desc    List and search users
+// @route   GET /api/admin/users?search=&role=&status=active|deactivated
+// @access  Private (Admin)
+export const getUsers = asyncHandler(async (req, res) => {
+  const { search, role, status, page = 1, limit = 20 } = req.query;
+
+  const filter = {};
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(String(search)), $options: "i" };
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  if (role) {
+    if (!USER_ROLES.includes(role)) {
+      res.status(400);
+      throw new Error(`Invalid role. Allowed roles: ${USER_ROLES.join(", ")}`);
+    }
+    filter.role = role;
+  }
+
+  if (status === "active") filter.deactivatedAt = null;
+  if (status === "deactivated") filter.deactivatedAt = { $ne: null };
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const users = await User.find(filter, USER_FIELDS)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await User.countDocuments(filter);
+
+  res.json({
+    success: true,
+    count: users.length,
+    total,
+    totalPages: Math.ceil(total / limitNum),
+    currentPage: pageNum,
+    data: users,
+  });
+});
+
+// @desc    Change a user's global role
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (Admin)
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!USER_ROLES.includes(role)) {
+    res.status(400);
+    throw new Error(`Invalid role. Allowed roles: ${USER_ROLES.join(", ")}`);
+  }
+
+  const user = await findUserOr404(req, res);
+  assertNotSelf(req, res, user);
+
+  const previousRole = user.role;
+
+  if (previousRole !== role) {
+    user.role = role;
+
+    await mongoose.connection.transaction(async (session) => {
+      await user.save({ validateBeforeSave: false, session });
+      await recordAudit(
+        req,
+        {
+          action: "user.role_changed",
+          targetType: "User",
+          target: user,
+          targetLabel: user.email,
+          from: previousRole,
+          to: role,
+        },
+        { session }
+      );
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `Role of ${user.email} is now ${role}`,
+    data: await User.findById(user._id, USER_FIELDS),
+  });
+});
+
+// @desc    Deactivate an account
+// @route   POST /api/admin/users/:id/deactivate
+// @access  Private (Admin)
+export const deactivateUser = asyncHandler(async (req, res) => {
+  const user = await findUserOr404(req, res);
+  assertNotSelf(req, res, user);
+
+  if (user.deactivatedAt) {
+    res.status(400);
+    throw new Error("User is already deactivated");
+  }
+
+  user.deactivatedAt = new Date();
+
+  await mongoose.connection.transaction(async (session) => {
+    await user.save({ validateBeforeSave: false, session });
+    await recordAudit(
+      req,
+      {
+        action: "user.deactivated",
+        targetType: "User",
+        target: user,
+        targetLabel: user.email,
+        to: {
+          deactivatedAt: user.deactivatedAt,
+          reason: req.body.reason || null,
+        },
+      },
+      { session }
+    );
+  });
+
+  // Tokens are refused from now on; also end the open sessions and streams
+  await revokeAllSessions(user._id, "deactivated");
+  disconnectUserEverywhere(user._id);
+
+  res.json({
+    success: true,
+    message: `${user.email} has been deactivated`,
+    data: await User.findById(user._id, USER_FIELDS),
+  });
+});
+
+// @desc    Reactivate an account
+// @route   POST /api/admin/users/:id/reactivate
+// @access  Private (Admin)
+export const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findUserOr404(req, res);
+
+  if (!user.deactivatedAt) {
+    res.status(400);
+    throw new Error("User is not deactivated");
+  }
+
+  const deactivatedAt = user.deactivatedAt;
+  user.deactivatedAt = null;
+
+  await mongoose.connection.transaction(async (session) => {
+    await user.save({ validateBeforeSave: false, session });
+    await recordAudit(
+      req,
+      {
+        action: "user.reactivated",
+        targetType: "User",
+        target: user,
+        targetLabel: user.email,
+        from: { deactivatedAt },
+      },
+      { session }
+    );
+  });
+
+  res.json({
+    success: true,
+    message: `${user.email} has been reactivated`,
+    data: await User.findById(user._id, USER_FIELDS),
+  });
+});
+
+// @desc    Force a password reset: the current password stops working, every
+//          session and personal access token is revoked and the user is
+//          emailed a reset link
+// @route   POST /api/admin/users/:id/reset-password
+// @access  Private (Admin)
+export const forcePasswordReset = asyncHandler(async (req, res) => {
+  const user = await findUserOr404(req, res);
+  assertNotSelf(req, res, user);
+
+  const resetToken = user.getResetPasswordToken(FORCED_RESET_EXPIRE_MS);
+  user.password = crypto.randomBytes(32).toString("hex");
+
+  await mongoose.connection.transaction(async (session) => {
+    await user.save({ session });
+    const accessTokensRevoked = await revokeAllAccessTokens(user._id, {
+      session,
+    });
+
+    await recordAudit(
+      req,
+      {
+        action: "user.password_reset_forced",
+        targetType: "User",
+        target: user,
+        targetLabel: user.email,
+        to: { accessTokensRevoked },
+      },
+      { session }
+    );
+  });
+
+  await revokeAllSessions(user._id, "password_reset_forced");
+
+  const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+
+  const message = `An administrator has reset the password of your account. Choose a new password using the link below:<br><br>
+<a href="${resetUrl}">${resetUrl}</a><br><br>
+This link will expire in 24 hours. After that, use "Forgot password" to get a new one.`;
+
+  let emailSent = true;
+  try {
+    await sendEmail({
+      email: user.email,
+      subject: "Your password has been reset",
+      html: message,
+    });
+  } catch (error) {
+    // The password is already reset; the user can still use forgot password
+    console.error("Failed to send forced reset email:", error);
+    emailSent = false;
+  }
+
+  res.json({
+    success: true,
+    message: emailSent
+      ? `Password reset, a link was sent to ${user.email}`
+      : `Password reset, but the email to ${user.email} could not be sent`,
+    emailSent,
+  });
+});
+
+// @desc    List all projects with owner and size
+// @route   GET /api/admin/projects?search=
+// @access  Private (Admin)
+export const getAllProjects = asyncHandler(async (req, res) => {
+  const { search, page = 1, limit = 20 } = req.query;
+
+  const filter = {};
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(String(search)), $options: "i" };
+    filter.$or = [{ name: pattern }, { key: pattern }];
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const projects = await Project.find(filter, "name key owner member createdAt")
+    .populate("owner", "name email avatar deactivatedAt")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Project.countDocuments(filter);
+
+  const issueCounts = await Issue.aggregate([
+    { $match: { projectId: { $in: projects.map((project) => project._id) } } },
+    { $group: { _id: "$projectId", count: { $sum: 1 } } },
+  ]);
+  const issueCountById = new Map(
+    issueCounts.map((entry) => [entry._id.toString(), entry.count])
+  );
+
+  res.json({
+    success: true,
+    count: projects.length,
+    total,
+    totalPages: Math.ceil(total / limitNum),
+    currentPage: pageNum,
+    data: projects.map((project) => ({
+      _id: project._id,
+      name: project.name,
+      key: project.key,
+      owner: project.owner,
+      memberCount: project.member.length,
+      issueCount: issueCountById.get(project._id.toString()) || 0,
+      createdAt: project.createdAt,
+    })),
+  });
+});
+
+// @desc    Reassign a project's owner. The previous owner stays a manager.
+// @route   PUT /api/admin/projects/:id/owner
+// @access  Private (Admin)
+export const reassignProjectOwner = asyncHandler(async (req, res) => {
+  const { userId } = req.body;
+
+  const project = mongoose.isValidObjectId(req.params.id)
+    ? await Project.findById(req.params.id)
+    : null;
+
+  if (!project) {
+    res.status(404);
+    throw new Error("Project not found");
+  }
+
+  const newOwner = mongoose.isValidObjectId(userId)
+    ? await User.findById(userId)
+    : null;
+
+  if (!newOwner || newOwner.deactivatedAt) {
+    res.status(400);
+    throw new Error("New owner must be an active user");
+  }
+
+  const previousOwnerId = project.owner;
+
+  if (previousOwnerId.toString() === newOwner._id.toString()) {
+    res.status(400);
+    throw new Error("User already owns this project");
+  }
+
+  const previousOwner = project.member.find(
+    (member) => member.user.toString() === previousOwnerId.toString()
+  );
+  if (previousOwner) previousOwner.role = "manager";
+
+  // The pre-save hook adds the new owner as a member with the owner role
+  project.owner = newOwner._id;
+
+  await mongoose.connection.transaction(async (session) => {
+    await project.save({ session });
+    await recordAudit(
+      req,
+      {
+        action: "project.owner_changed",
+        targetType: "Project",
+        target: project,
+        targetLabel: project.key,
+        from: previousOwnerId,
+        to: newOwner._id,
+      },
+      { session }
+    );
+  });
+
+  await notify({
+    recipients: [newOwner._id, previousOwnerId],
+    actor: req.user._id,
+    type: "role_changed",
+    project,
+    message: `${newOwner.name} is now the owner of the project "${project.name}"`,
+  });
+
+  await publishEvent({
+    event: "member.updated",
+    project,
+    actor: req.user._id,
+    data: { member: { _id: newOwner._id }, role: "owner" },
+  });
+
+  const populatedProject = await Project.findById(project._id)
+    .populate("member.user", "name email avatar role")
+    .populate("owner", "name email avatar");
+
+  res.json({
+    success: true,
+    message: "Project owner updated successfully",
+    data: populatedProject,
+  });
+});
+
+// @desc    Get the admin audit log
+// @route   GET /api/admin/audit-logs?action=&actor=&target=
+// @access  Private (Admin)
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const { action, actor, target, page = 1, limit = 50 } = req.query;
+
+  const filter = {};
+
+  if (action) {
+    if (!AUDIT_ACTIONS.includes(action)) {
+      res.status(400);
+      throw new Error(
+        `Invalid action. Allowed actions: ${AUDIT_ACTIONS.join(", ")}`
+      );
+    }
+    filter.action = action;
+  }
+
+  for (const [field, value] of [
+    ["actor", actor],
+    ["targetId", target],
+  ]) {
+    if (!value) continue;
+
+    if (!mongoose.isValidObjectId(value)) {
+      res.status(400);
+      throw new Error(`Invalid ${field} id`);
+    }
+    filter[field] = value;
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const logs = await AuditLog.find(filter)
+    .populate("actor", "name email")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await AuditLog.countDocuments(filter);
+
+  res.json({
+    success: true,
+    count: logs.length,
+    total,
+    totalPages: Math.ceil(total / limitNum),
+    currentPage: pageNum,
+    data: logs,
+  });
+});
@@ -1,18 +1,62 @@
-import cloudinary from "cloudinary";
+import mongoose from "mongoose";
+import { pipeline } from "stream/promises";
 import Attachment from "../models/Attachment.js";
+import Issue from "../models/Issue.js";
+import Comment from "../models/Comment.js";
 import asyncHandler from "express-async-handler";
+import { recordActivity } from "../utils/activity.js";
+import { attachToIssue } from "../utils/issueAttachments.js";
+import {
+  getStorage,
+  getAttachmentStorage,
+  getResourceType,
+  getAttachmentType,
+  getAttachmentContentUrl,
+  createStorageKey,
+} from "../utils/storage/index.js";
+import { verifyLocalSignature } from "../utils/storage/local.js";
 
-// Configure Cloudinary
-cloudinary.v2.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Lifetime of the URLs returned by getAttachmentUrl
+const SIGNED_URL_SECONDS = 5 * 60;
 
-// @desc    Upload attachment
-// @route   POST /api/attachments
-// @access  Private
-export const uploadAttachment = asyncHandler(async (req, res) => {
+// Send a stored file as the response body. The type comes from the client
+// that uploaded it, so browsers must not sniff the content into something
+// they would run.
+const sendFile = async (res, attachment, { stream, contentLength }) => {
+  res.set({
+    "Content-Type": attachment.mimeType,
+    "X-Content-Type-Options": "nosniff",
+    "Content-Disposition": `inline; filename*=UTF-8''${encodeURIComponent(
+      attachment.originalFilename
+    )}`,
+    "Cache-Control": "private, max-age=300",
+  });
+  if (contentLength) res.set("Content-Length", contentLength);
+
+  try {
+    await pipeline(stream, res);
+  } catch (error) {
+    // Usually the client went away; the response cannot be changed any more
+    console.error("Attachment stream error:", error.message);
+  }
+};
+
+const openStoredFile = async (res, attachment) => {
+  try {
+    return await getAttachmentStorage(attachment).createReadStream(
+      attachment.publicId,
+      { resourceType: getResourceType(attachment) }
+    );
+  } catch (error) {
+    console.error("Attachment read error:", error);
+    res.status(error.code === "ENOENT" ? 404 : 502);
+    throw new Error("File could not be read from storage");
+  }
+};
+
+// Validate the uploaded "file" field, store it with the configured driver
+// and create its Attachment
+const storeUploadedFile = async (req, res) => {
   if (!req.files || !req.files.file) {
     res.status(400);
     throw new Error("No file uploaded");
@@ -42,42 +86,70 @@ export const uploadAttachment = asyncHandler(async (req, res) => {
     );
   }
 
+  const storage = getStorage();
+  const attachmentId = new mongoose.Types.ObjectId();
+
   try {
-    // Upload to Cloudinary
-    const result = await cloudinary.v2.uploader.upload(file.tempFilePath, {
-      resource_type: "auto", // Automatically detect image/video/raw
-      folder: "project_attachments",
+    const result = await storage.upload(file.tempFilePath, {
+      key: createStorageKey(file.name),
+      mimeType: file.mimetype,
     });
 
-    let attachmentType;
-    if (result.resource_type === "image") {
-      attachmentType = "image";
-    } else if (result.resource_type === "video") {
-      attachmentType = "video";
-    } else {
-      attachmentType = "file";
-    }
-
     // Create attachment record
     const attachment = await Attachment.create({
-      url: result.secure_url,
-      type: attachmentType,
-      publicId: result.public_id,
+      _id: attachmentId,
+      url: result.url || getAttachmentContentUrl(attachmentId),
+      type: getAttachmentType(file.mimetype, result.resourceType),
+      storage: storage.name,
+      publicId: result.key,
       uploadedBy: req.user._id,
       originalFilename: file.name,
       mimeType: file.mimetype,
       size: file.size,
     });
 
-    res.status(201).json({
-      success: true,
-      data: attachment,
-    });
+    return attachment;
   } catch (error) {
-    console.error("Cloudinary upload error:", error);
+    console.error(`${storage.name} upload error:`, error);
     res.status(500);
     throw new Error("File upload failed");
   }
+};
+
+// @desc    Upload attachment
+// @route   POST /api/attachments
+// @access  Private
+export const uploadAttachment = asyncHandler(async (req, res) => {
+  const attachment = await storeUploadedFile(req, res);
+
+  res.status(201).json({
+    success: true,
+    data: attachment,
+  });
+});
+
+// @desc    Upload a file straight into an issue
+// @route   POST /api/issues/:id/attachments/upload
+// @access  Private (Project members except viewers)
+export const uploadIssueAttachment = asyncHandler(async (req, res) => {
+  if (req.memberRole === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers have read-only access");
+  }
+
+  const attachment = await storeUploadedFile(req, res);
+  // A fresh upload is not attached anywhere, so this only fails if the
+  // upload was deleted in the meantime
+  if (!(await attachToIssue(req.issue, [attachment._id], req.user._id))) {
+    res.status(409);
+    throw new Error("The upload could not be attached to the issue");
+  }
+  attachment.issueId = req.issue._id;
+
+  res.status(201).json({
+    success: true,
+    data: attachment,
+  });
 });
 
 // @desc    Delete attachment
@@ -101,19 +173,50 @@ export const deleteAttachment = asyncHandler(async (req, res) => {
   }
 
   try {
-    await cloudinary.v2.uploader.destroy(attachment.publicId, {
-      resource_type: attachment.type === "video" ? "video" : "image",
+    await getAttachmentStorage(attachment).delete(attachment.publicId, {
+      resourceType: getResourceType(attachment),
     });
 
     // Delete from database
     await Attachment.findByIdAndDelete(req.params.id);
 
+    if (attachment.issueId) {
+      await Issue.updateOne(
+        { _id: attachment.issueId },
+        { $pull: { attachments: attachment._id } }
+      );
+    }
+    if (attachment.commentId) {
+      await Comment.updateOne(
+        { _id: attachment.commentId },
+        { $pull: { attachment: attachment._id } }
+      );
+    }
+
+    // Record the removal in the history of the issue it belonged to
+    let issueId = attachment.issueId;
+    if (!issueId && attachment.commentId) {
+      const comment = await Comment.findById(attachment.commentId);
+      issueId = comment?.issueId;
+    }
+
+    const issue = issueId ? await Issue.findById(issueId) : null;
+    if (issue) {
+      await recordActivity({
+        issue,
+        actor: req.user._id,
+        action: "attachment_removed",
+        field: "attachment",
+        oldValue: attachment._id,
+      });
+    }
+
     res.json({
       success: true,
       message: "Attachment deleted successfully",
     });
   } catch (error) {
-    console.error("Cloudinary delete error:", error);
+    console.error("Storage delete error:", error);
     res.status(500);
     throw new Error("Failed to delete attachment");
   }
@@ -144,3 +247,57 @@ export const getMyAttachments = asyncHandler(async (req, res) => {
     data: attachments,
   });
 });
+
+// @desc    Get a short-lived URL to read the attachment without logging in
+// @route   GET /api/attachments/:id/url
+// @access  Private (Uploader, admin or project member)
+export const getAttachmentUrl = asyncHandler(async (req, res) => {
+  const attachment = req.attachment;
+
+  const url = await getAttachmentStorage(attachment).getSignedUrl(
+    attachment.publicId,
+    {
+      resourceType: getResourceType(attachment),
+      expiresIn: SIGNED_URL_SECONDS,
+    }
+  );
+
+  res.json({
+    success: true,
+    data: { url, expiresIn: SIGNED_URL_SECONDS },
+  });
+});
+
+// @desc    Stream the attachment content
+// @route   GET /api/attachments/:id/content
+// @access  Private (Uploader, admin or project member)
+export const streamAttachment = asyncHandler(async (req, res) => {
+  const file = await openStoredFile(res, req.attachment);
+  await sendFile(res, req.attachment, file);
+});
+
+// @desc    Serve a file of the local storage driver through a signed URL
+// @route   GET /api/attachments/files/*key?expires=&signature=
+// @access  Public (signed URL)
+export const serveLocalFile = asyncHandler(async (req, res) => {
+  const key = [].concat(req.params.key).join("/");
+  const { expires, signature } = req.query;
+
+  if (!verifyLocalSignature(key, expires, signature)) {
+    res.status(403);
+    throw new Error("Invalid or expired link");
+  }
+
+  const attachment = await Attachment.findOne({
+    storage: "local",
+    publicId: key,
+  });
+
+  if (!attachment) {
+    res.status(404);
+    throw new Error("Attachment not found");
+  }
+
+  const file = await openStoredFile(res, attachment);
+  await sendFile(res, attachment, file);
+});
@@ -1,8 +1,60 @@
+import mongoose from "mongoose";
 import User from "../models/User.js";
-import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
 import asyncHandler from "express-async-handler";
 import crypto from "crypto";
 import sendEmail from "../utils/email.js";
+import {
+  createSession,
+  rotateRefreshToken,
+  generateAccessToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeAllAccessTokens,
+} from "../utils/sessions.js";
+import {
+  getThrottleKeys,
+  getLockedUntil,
+  recordAttempt,
+  clearAttempts,
+} from "../utils/authThrottle.js";
+import {
+  createChallengeToken,
+  verifyChallengeToken,
+  checkSecondFactor,
+  isTwoFactorRequired,
+} from "../utils/twoFactor.js";
+
+// Email a verification link for the account email, or for pendingEmail when
+// an email change is waiting. The caller saves the user.
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  const address = user.pendingEmail || user.email;
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+
+  const message = `Please confirm that ${address} is your email address by clicking the link below:<br><br>
+<a href="${verifyUrl}">${verifyUrl}</a><br><br>
+This link will expire in 24 hours.`;
+
+  await sendEmail({
+    email: address,
+    subject: "Verify your email address",
+    html: message,
+  });
+};
+
+// Refuse the request with 429 while any of the throttle keys is locked out
+const assertNotLocked = async (res, keys) => {
+  const lockedUntil = await getLockedUntil(keys);
+
+  if (lockedUntil) {
+    res.set("Retry-After", Math.ceil((lockedUntil - Date.now()) / 1000));
+    res.status(429);
+    throw new Error(
+      `Too many attempts. Try again after ${lockedUntil.toISOString()}`
+    );
+  }
+};
 
 // @desc    Authenticate user & get Token
 // @route   POST /api/auth/login
@@ -11,23 +63,102 @@ import sendEmail from "../utils/email.js";
 export const loginUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
 
+  const throttleKeys = getThrottleKeys("login", { ip: req.ip, email });
+  await assertNotLocked(res, throttleKeys);
+
   const user = await User.findOne({ email });
 
   if (user && (await user.matchPassword(password))) {
+    if (user.deactivatedAt) {
+      res.status(403);
+      throw new Error("Account is deactivated");
+    }
+
+    // Failed attempts are only cleared once the second factor is checked too
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user._id),
+      });
+    }
+
+    await clearAttempts(throttleKeys.filter((key) => key.scope === "account"));
+    const { token, refreshToken } = await createSession(user._id, req);
+
     res.json({
       _id: user._id,
       name: user.name,
       email: user.email,
       avatar: user.avatar,
       role: user.role,
-      token: generateToken(user._id),
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: false,
+      twoFactorSetupRequired: await isTwoFactorRequired(user),
+      token,
+      refreshToken,
     });
   } else {
+    await recordAttempt(throttleKeys);
     res.status(401);
     throw new Error("Invalid email and password");
   }
 });
 
+// @desc    Complete a login with an authenticator or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const userId = challengeToken ? verifyChallengeToken(challengeToken) : null;
+  const user = userId
+    ? await User.findById(userId).select(
+        "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+      )
+    : null;
+
+  if (!user || !user.twoFactor.enabled) {
+    res.status(401);
+    throw new Error("Invalid or expired challenge, please log in again");
+  }
+
+  if (user.deactivatedAt) {
+    res.status(403);
+    throw new Error("Account is deactivated");
+  }
+
+  // Wrong codes count as failed logins of the account
+  const throttleKeys = getThrottleKeys("login", {
+    ip: req.ip,
+    email: user.email,
+  });
+  await assertNotLocked(res, throttleKeys);
+
+  // The code is used up here; a second request with it fails
+  if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+    await recordAttempt(throttleKeys);
+    res.status(401);
+    throw new Error("Invalid authentication code");
+  }
+
+  await clearAttempts(throttleKeys.filter((key) => key.scope === "account"));
+  const { token, refreshToken } = await createSession(user._id, req);
+
+  res.json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    avatar: user.avatar,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: true,
+    recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+    token,
+    refreshToken,
+  });
+});
+
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access Public
@@ -35,6 +166,9 @@ export const loginUser = asyncHandler(async (req, res) => {
 export const registerUser = asyncHandler(async (req, res) => {
   const { name, email, password, avatar } = req.body;
 
+  const throttleKeys = getThrottleKeys("register", { ip: req.ip });
+  await assertNotLocked(res, throttleKeys);
+
   const userExist = await User.findOne({ email });
 
   if (userExist) {
@@ -51,13 +185,28 @@ export const registerUser = asyncHandler(async (req, res) => {
   });
 
   if (user) {
+    // Only accounts actually created count towards the per-IP limit
+    await recordAttempt(throttleKeys);
+
+    try {
+      await sendVerificationEmail(user);
+      await user.save({ validateBeforeSave: false });
+    } catch (error) {
+      // The user can ask for a new link with /resend-verification
+      console.error("Failed to send verification email:", error);
+    }
+
+    const { token, refreshToken } = await createSession(user._id, req);
+
     res.status(201).json({
       _id: user._id,
       name: user.name,
       email: user.email,
       avatar: user.avatar,
       role: user.role,
-      token: generateToken(user._id),
+      emailVerified: user.emailVerified,
+      token,
+      refreshToken,
     });
   } else {
     res.status(400);
@@ -78,6 +227,9 @@ export const getUserProfile = asyncHandler(async (req, res) => {
       email: user.email,
       avatar: user.avatar,
       role: user.role,
+      emailVerified: user.emailVerified,
+      pendingEmail: user.pendingEmail || null,
+      twoFactorEnabled: user.twoFactor.enabled,
     });
   } else {
     res.status(404);
@@ -94,22 +246,53 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
 
   if (user) {
     user.name = req.body.name || user.name;
-    user.email = req.body.email || user.email;
     user.avatar = req.body.avatar || user.avatar;
 
     if (req.body.password) {
       user.password = req.body.password;
     }
 
+    // A new email only replaces the current one after it is verified
+    const emailChanged = req.body.email && req.body.email !== user.email;
+
+    if (emailChanged) {
+      const emailTaken = await User.findOne({ email: req.body.email });
+
+      if (emailTaken) {
+        res.status(400);
+        throw new Error("Email is already in use");
+      }
+
+      user.pendingEmail = req.body.email;
+    }
+
     const updatedUser = await user.save();
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+        await updatedUser.save({ validateBeforeSave: false });
+      } catch (error) {
+        console.error("Failed to send verification email:", error);
+      }
+    }
+
+    // A new password signs out every device; this one gets a fresh session
+    let tokens = { token: generateAccessToken(user._id, req.sessionId) };
+    if (req.body.password) {
+      await revokeAllSessions(user._id, "password_changed");
+      tokens = await createSession(user._id, req);
+    }
+
     res.json({
       _id: updatedUser._id,
       name: updatedUser.name,
       email: updatedUser.email,
       avatar: updatedUser.avatar,
       role: updatedUser.role,
-      token: generateToken(updatedUser._id),
+      emailVerified: updatedUser.emailVerified,
+      pendingEmail: updatedUser.pendingEmail || null,
+      ...tokens,
     });
   } else {
     res.status(404);
@@ -121,43 +304,57 @@ export const updateUserProfile = asyncHandler(async (req, res) => {
 // @route POST /api/auth/forgotpassword
 // @access  Public
 export const forgotPassword = asyncHandler(async (req, res) => {
-  const user = await User.findOne({ email: req.body.email });
+  const { email } = req.body;
 
-  if (!user) {
-    res.status(404);
-    throw new Error("User not found with this email");
-  }
+  const throttleKeys = getThrottleKeys("forgot_password", {
+    ip: req.ip,
+    email,
+  });
+  await assertNotLocked(
+    res,
+    throttleKeys.filter((key) => key.scope === "ip")
+  );
 
-  // Get reset token
-  const resetToken = user.getResetPasswordToken();
-  await user.save({ validateBeforeSave: false });
+  // A locked account is treated like an unknown one so the response never
+  // tells whether the email is registered
+  const accountLocked = await getLockedUntil(
+    throttleKeys.filter((key) => key.scope === "account")
+  );
+  await recordAttempt(throttleKeys);
 
-  // Create reset URL
-  const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
+  const user = accountLocked ? null : await User.findOne({ email });
 
-  const message = `You are receiving this email because you (or someone else) has requested to reset your password. Click the link below to proceed:<br><br>
-<a href="${resetUrl}">${resetUrl}</a><br><br>
-If you did not request this, please ignore this email.`;
+  if (user) {
+    // Get reset token
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
 
-  try {
-    await sendEmail({
-      email: user.email,
-      subject: "Password reset token",
-      html: message,
-    });
+    // Create reset URL
+    const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
 
-    res.status(200).json({
-      success: true,
-      data: "Email sent",
-    });
-  } catch (err) {
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpire = undefined;
-    await user.save({ validateBeforeSave: false });
+    const message = `You are receiving this email because you (or someone else) has requested to reset your password. Click the link below to proceed:<br><br>
+<a href="${resetUrl}">${resetUrl}</a><br><br>
+If you did not request this, please ignore this email.`;
 
-    res.status(500);
-    throw new Error(`Email could not be sent. Error: ${err.message}`);
+    try {
+      await sendEmail({
+        email: user.email,
+        subject: "Password reset token",
+        html: message,
+      });
+    } catch (err) {
+      console.error("Failed to send password reset email:", err);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+    }
   }
+
+  res.status(200).json({
+    success: true,
+    data: "If an account exists for this email, a reset link has been sent",
+  });
 });
 
 // @desc    Reset password
@@ -186,16 +383,184 @@ export const resetPassword = asyncHandler(async (req, res) => {
   user.resetPasswordExpire = undefined;
   await user.save();
 
+  // Whoever knew the old password may have created access tokens too
+  await revokeAllSessions(user._id, "password_reset");
+  await revokeAllAccessTokens(user._id);
+
+  // The reset link only replaces the password, not the second factor
+  if (user.twoFactor.enabled) {
+    return res.status(200).json({
+      success: true,
+      data: "Password updated successfully",
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user._id),
+    });
+  }
+
+  const { token, refreshToken } = await createSession(user._id, req);
+
   res.status(200).json({
     success: true,
     data: "Password updated successfully",
-    token: generateToken(user._id),
+    token,
+    refreshToken,
   });
 });
 
-// Generate JWT token for user
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
+// @desc    Verify email address (new account or pending email change)
+// @route   POST /api/auth/verify-email/:token
+// @access  Public
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() },
   });
-};
+
+  if (!user) {
+    res.status(400);
+    throw new Error("Invalid token or token has expired");
+  }
+
+  if (user.pendingEmail) {
+    // The address may have been registered since the change was requested
+    const emailTaken = await User.findOne({
+      _id: { $ne: user._id },
+      email: user.pendingEmail,
+    });
+
+    if (emailTaken) {
+      res.status(400);
+      throw new Error("Email is already in use");
+    }
+
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    data: { email: user.email, emailVerified: true },
+  });
+});
+
+// @desc    Send a new verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.emailVerified && !user.pendingEmail) {
+    res.status(400);
+    throw new Error("Email is already verified");
+  }
+
+  try {
+    await sendVerificationEmail(user);
+    await user.save({ validateBeforeSave: false });
+  } catch (error) {
+    res.status(500);
+    throw new Error(`Email could not be sent. Error: ${error.message}`);
+  }
+
+  res.json({
+    success: true,
+    data: `Verification link sent to ${user.pendingEmail || user.email}`,
+  });
+});
+
+// @desc    Exchange a refresh token for new tokens
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refreshSession = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    res.status(400);
+    throw new Error("Refresh token is required");
+  }
+
+  const tokens = await rotateRefreshToken(refreshToken, req);
+
+  if (!tokens) {
+    res.status(401);
+    throw new Error("Invalid or expired refresh token");
+  }
+
+  res.json({
+    success: true,
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+  });
+});
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = asyncHandler(async (req, res) => {
+  await revokeSession(req.sessionId, req.user._id);
+
+  res.json({
+    success: true,
+    message: "Logged out successfully",
+  });
+});
+
+// @desc    Log out every session of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAll = asyncHandler(async (req, res) => {
+  const result = await revokeAllSessions(req.user._id);
+
+  res.json({
+    success: true,
+    message: `Logged out of ${result.modifiedCount} session(s)`,
+  });
+});
+
+// @desc    Get current user's active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find(
+    { user: req.user._id, revokedAt: null, expiresAt: { $gt: new Date() } },
+    "userAgent ip createdAt lastUsedAt expiresAt"
+  ).sort({ lastUsedAt: -1 });
+
+  res.json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.sessionId.toString(),
+    })),
+  });
+});
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeUserSession = asyncHandler(async (req, res) => {
+  const result = mongoose.isValidObjectId(req.params.id)
+    ? await revokeSession(req.params.id, req.user._id)
+    : null;
+
+  if (!result || result.modifiedCount === 0) {
+    res.status(404);
+    throw new Error("Session not found");
+  }
+
+  res.json({
+    success: true,
+    message: "Session revoked successfully",
+  });
+});
@@ -1,8 +1,35 @@
+import mongoose from "mongoose";
 import Comment from "../models/Comment.js";
 import Issue from "../models/Issue.js";
 import Project from "../models/Project.js";
 import Attachment from "../models/Attachment.js";
 import asyncHandler from "express-async-handler";
+import { recordActivity } from "../utils/activity.js";
+import { notify, getWatchingMembers } from "../utils/notifications.js";
+import { resolveMentions, notifyNewMentions } from "../utils/mentions.js";
+import { publishEvent } from "../utils/events.js";
+import {
+  attachToComment,
+  detachFromComment,
+  deleteAttachments,
+} from "../utils/issueAttachments.js";
+
+// Attachment ids from the request body, or null when they are malformed
+const parseAttachmentIds = (attachments) => {
+  if (
+    !Array.isArray(attachments) ||
+    !attachments.every((id) => mongoose.isValidObjectId(id))
+  ) {
+    return null;
+  }
+
+  return [...new Set(attachments.map(String))];
+};
+
+const INVALID_ATTACHMENTS_MESSAGE =
+  "Some attachments are invalid, not owned by you or already attached elsewhere";
+const ATTACHMENT_CONFLICT_MESSAGE =
+  "Some attachments were attached elsewhere in the meantime, please try again";
 
 // @desc    Create new comment
 // @route   POST /api/issues/:issueId/comments
@@ -21,47 +48,126 @@ export const createComment = asyncHandler(async (req, res) => {
   const project = await Project.findById(issue.projectId._id);
 
   // Check if user is a member of the project
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
+  const role = project.getMemberRole(req.user._id);
 
-  if (!isMember) {
+  if (!role) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
 
-  // Validate attachments if provided
-  if (attachments && attachments.length > 0) {
+  if (role === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers cannot comment");
+  }
+
+  const attachmentIds = parseAttachmentIds(attachments || []);
+
+  if (!attachmentIds) {
+    res.status(400);
+    throw new Error("attachments must be a list of attachment ids");
+  }
+
+  // Only your own uploads that are not on an issue or another comment. The
+  // same conditions are checked again when the uploads are claimed.
+  if (attachmentIds.length > 0) {
     const validAttachments = await Attachment.find({
-      _id: { $in: attachments },
+      _id: { $in: attachmentIds },
       uploadedBy: req.user._id,
+      issueId: null,
+      commentId: null,
     });
 
-    if (validAttachments.length !== attachments.length) {
+    if (validAttachments.length !== attachmentIds.length) {
       res.status(400);
-      throw new Error("Some attachments are invalid or not owned by you");
+      throw new Error(INVALID_ATTACHMENTS_MESSAGE);
     }
   }
 
-  const comment = await Comment.create({
-    content,
-    author: req.user._id,
-    issueId,
-    attachment: attachments || [],
+  const { mentions, unresolved } = await resolveMentions(content, project);
+
+  let comment;
+  const created = await mongoose.connection.transaction(async (session) => {
+    [comment] = await Comment.create(
+      [
+        {
+          content,
+          author: req.user._id,
+          issueId,
+          attachment: attachmentIds,
+          mentions,
+        },
+      ],
+      { session }
+    );
+
+    if (
+      !(await attachToComment(comment, attachmentIds, req.user._id, session))
+    ) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    return true;
   });
 
-  // Update attachments with commentId reference
-  if (attachments && attachments.length > 0) {
-    await Attachment.updateMany(
-      { _id: { $in: attachments } },
-      { $set: { commentId: comment._id } }
-    );
+  if (!created) {
+    res.status(409);
+    throw new Error(ATTACHMENT_CONFLICT_MESSAGE);
   }
 
   // Add comment to issue
   issue.comments.push(comment._id);
+  issue.watchers.addToSet(req.user._id);
   await issue.save();
 
+  await recordActivity({
+    issue,
+    actor: req.user._id,
+    action: "comment_added",
+    field: "comment",
+    newValue: content,
+  });
+
+  for (const attachmentId of attachmentIds) {
+    await recordActivity({
+      issue,
+      actor: req.user._id,
+      action: "attachment_added",
+      field: "attachment",
+      newValue: attachmentId,
+    });
+  }
+
+  await notify({
+    recipients: await getWatchingMembers(issue),
+    actor: req.user._id,
+    type: "comment_added",
+    issue,
+    message: `${req.user.name} commented on ${issue.key} "${issue.title}"`,
+  });
+
+  await notifyNewMentions({
+    mentions,
+    actor: req.user._id,
+    issue,
+    message: `${req.user.name} mentioned you in a comment on ${issue.key} "${issue.title}"`,
+  });
+
+  await publishEvent({
+    event: "comment.created",
+    project,
+    actor: req.user._id,
+    data: {
+      comment: {
+        _id: comment._id.toString(),
+        content: comment.content,
+        author: req.user._id.toString(),
+        createdAt: comment.createdAt,
+      },
+      issue: { _id: issue._id.toString(), key: issue.key, title: issue.title },
+    },
+  });
+
   const populatedComment = await Comment.findById(comment._id)
     .populate("author", "name email avatar")
     .populate("attachment");
@@ -69,6 +175,7 @@ export const createComment = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     data: populatedComment,
+    unresolvedMentions: unresolved,
   });
 });
 
@@ -89,11 +196,7 @@ export const getIssueComments = asyncHandler(async (req, res) => {
   const project = await Project.findById(issue.projectId._id);
 
   // Check if user is a member of the project
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
-
-  if (!isMember) {
+  if (!project.isMember(req.user._id)) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
@@ -144,11 +247,7 @@ export const getComment = asyncHandler(async (req, res) => {
   const project = comment.issueId.projectId;
 
   // Check if user is a member of the project
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
-
-  if (!isMember) {
+  if (!project.isMember(req.user._id)) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
@@ -161,7 +260,7 @@ export const getComment = asyncHandler(async (req, res) => {
 
 // @desc    Update comment
 // @route   PUT /api/comments/:id
-// @access  Private (Comment Author or Project Owner)
+// @access  Private (Comment Author, Project Owner or Manager)
 export const updateComment = asyncHandler(async (req, res) => {
   const { content, attachments } = req.body;
 
@@ -179,35 +278,139 @@ export const updateComment = asyncHandler(async (req, res) => {
   }
 
   const project = comment.issueId.projectId;
-  const isProjectOwner = project.owner.toString() === req.user._id.toString();
+  const role = project.getMemberRole(req.user._id);
   const isCommentAuthor = comment.author.toString() === req.user._id.toString();
 
-  // Only project owner or comment author can update the comment
-  if (!isProjectOwner && !isCommentAuthor) {
+  if (!role) {
+    res.status(403);
+    throw new Error("Access denied - Not a project member");
+  }
+
+  if (role === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers cannot update comments");
+  }
+
+  // Only project owner, manager, or comment author can update the comment
+  if (!project.canManage(req.user._id) && !isCommentAuthor) {
     res.status(403);
     throw new Error(
-      "Access denied - Only project owner or comment author can update this comment"
+      "Access denied - Only project owner, manager, or comment author can update this comment"
     );
   }
 
-  // Validate attachments if provided
-  if (attachments && attachments.length > 0) {
+  const oldAttachments = comment.attachment.map((id) => id.toString());
+  const attachmentIds =
+    attachments !== undefined
+      ? parseAttachmentIds(attachments)
+      : oldAttachments;
+
+  if (!attachmentIds) {
+    res.status(400);
+    throw new Error("attachments must be a list of attachment ids");
+  }
+
+  const addedAttachments = attachmentIds.filter(
+    (id) => !oldAttachments.includes(id)
+  );
+  const removedAttachments = oldAttachments.filter(
+    (id) => !attachmentIds.includes(id)
+  );
+
+  // Files already on the comment may stay; added ones must be your own free
+  // uploads. The same conditions are checked again when they are claimed.
+  if (addedAttachments.length > 0) {
     const validAttachments = await Attachment.find({
-      _id: { $in: attachments },
+      _id: { $in: addedAttachments },
       uploadedBy: req.user._id,
+      issueId: null,
+      commentId: null,
     });
 
-    if (validAttachments.length !== attachments.length) {
+    if (validAttachments.length !== addedAttachments.length) {
       res.status(400);
-      throw new Error("Some attachments are invalid or not owned by you");
+      throw new Error(INVALID_ATTACHMENTS_MESSAGE);
     }
   }
 
+  const oldContent = comment.content;
+  const previousMentions = comment.mentions.map((id) => id.toString());
+  let unresolvedMentions = [];
+
+  if (content) {
+    const resolved = await resolveMentions(content, project);
+    comment.mentions = resolved.mentions;
+    unresolvedMentions = resolved.unresolved;
+  }
+
   comment.content = content || comment.content;
-  comment.attachment =
-    attachments !== undefined ? attachments : comment.attachment;
+  comment.attachment = attachmentIds;
+
+  let updatedComment;
+  const updated = await mongoose.connection.transaction(async (session) => {
+    updatedComment = await comment.save({ session });
+
+    if (
+      !(await attachToComment(comment, addedAttachments, req.user._id, session))
+    ) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    await detachFromComment(comment, removedAttachments, session);
+    return true;
+  });
+
+  if (!updated) {
+    res.status(409);
+    throw new Error(ATTACHMENT_CONFLICT_MESSAGE);
+  }
+
+  if (oldContent !== updatedComment.content) {
+    await recordActivity({
+      issue: comment.issueId,
+      actor: req.user._id,
+      action: "comment_updated",
+      field: "comment",
+      oldValue: oldContent,
+      newValue: updatedComment.content,
+    });
+  }
+
+  const newAttachments = updatedComment.attachment.map((id) => id.toString());
+
+  for (const attachmentId of newAttachments) {
+    if (!oldAttachments.includes(attachmentId)) {
+      await recordActivity({
+        issue: comment.issueId,
+        actor: req.user._id,
+        action: "attachment_added",
+        field: "attachment",
+        newValue: attachmentId,
+      });
+    }
+  }
+
+  for (const attachmentId of oldAttachments) {
+    if (!newAttachments.includes(attachmentId)) {
+      await recordActivity({
+        issue: comment.issueId,
+        actor: req.user._id,
+        action: "attachment_removed",
+        field: "attachment",
+        oldValue: attachmentId,
+      });
+    }
+  }
 
-  const updatedComment = await comment.save();
+  const issue = comment.issueId;
+  await notifyNewMentions({
+    mentions: updatedComment.mentions.map((id) => id.toString()),
+    previousMentions,
+    actor: req.user._id,
+    issue,
+    message: `${req.user.name} mentioned you in a comment on ${issue.key} "${issue.title}"`,
+  });
 
   const populatedComment = await Comment.findById(updatedComment._id)
     .populate("author", "name email avatar")
@@ -216,12 +419,13 @@ export const updateComment = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: populatedComment,
+    unresolvedMentions,
   });
 });
 
 // @desc    Delete comment
 // @route   DELETE /api/comments/:id
-// @access  Private (Comment Author or Project Owner)
+// @access  Private (Comment Author, Project Owner or Manager)
 export const deleteComment = asyncHandler(async (req, res) => {
   const comment = await Comment.findById(req.params.id).populate({
     path: "issueId",
@@ -237,14 +441,24 @@ export const deleteComment = asyncHandler(async (req, res) => {
   }
 
   const project = comment.issueId.projectId;
-  const isProjectOwner = project.owner.toString() === req.user._id.toString();
+  const role = project.getMemberRole(req.user._id);
   const isCommentAuthor = comment.author.toString() === req.user._id.toString();
 
-  // Only project owner or comment author can delete the comment
-  if (!isProjectOwner && !isCommentAuthor) {
+  if (!role) {
+    res.status(403);
+    throw new Error("Access denied - Not a project member");
+  }
+
+  if (role === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers cannot delete comments");
+  }
+
+  // Only project owner, manager, or comment author can delete the comment
+  if (!project.canManage(req.user._id) && !isCommentAuthor) {
     res.status(403);
     throw new Error(
-      "Access denied - Only project owner or comment author can delete this comment"
+      "Access denied - Only project owner, manager, or comment author can delete this comment"
     );
   }
 
@@ -253,13 +467,21 @@ export const deleteComment = asyncHandler(async (req, res) => {
     $pull: { comments: comment._id },
   });
 
-  // Delete associated attachments
-  if (comment.attachment && comment.attachment.length > 0) {
-    await Attachment.deleteMany({ _id: { $in: comment.attachment } });
-  }
+  // Delete associated attachments with their stored files
+  await deleteAttachments({
+    $or: [{ _id: { $in: comment.attachment } }, { commentId: comment._id }],
+  });
 
   await Comment.findByIdAndDelete(req.params.id);
 
+  await recordActivity({
+    issue: comment.issueId,
+    actor: req.user._id,
+    action: "comment_deleted",
+    field: "comment",
+    oldValue: comment.content,
+  });
+
   res.json({
     success: true,
     message: "Comment and associated attachments deleted successfully",
@@ -1,14 +1,77 @@
+import mongoose from "mongoose";
 import Issue from "../models/Issue.js";
 import Project from "../models/Project.js";
-import Comment from "../models/Comment.js";
 import Attachment from "../models/Attachment.js";
+import IssueActivity from "../models/IssueActivity.js";
+import IssueLink from "../models/IssueLink.js";
 import asyncHandler from "express-async-handler";
+import {
+  getWorkflow,
+  getInitialStatus,
+  isValidStatus,
+  canTransition,
+  getAllowedTransitions,
+  getStatusCategory,
+} from "../utils/workflow.js";
+import {
+  snapshotIssue,
+  recordActivity,
+  recordIssueChanges,
+} from "../utils/activity.js";
+import {
+  validateHierarchy,
+  canBeParentOf,
+  getDescendantIds,
+} from "../utils/issueHierarchy.js";
+import {
+  normalizeLinkType,
+  createsBlockCycle,
+  getOpenBlockers,
+  listIssueLinks,
+} from "../utils/issueLinks.js";
+import { compileIssueQuery, escapeRegex } from "../utils/issueQuery.js";
+import { notify, notifyIssueChanges } from "../utils/notifications.js";
+import { resolveMentions, notifyNewMentions } from "../utils/mentions.js";
+import { publishEvent, serializeIssue } from "../utils/events.js";
+import {
+  attachToIssue,
+  listIssueAttachments,
+} from "../utils/issueAttachments.js";
+import { removeIssues } from "../utils/issueRemoval.js";
+
+// Error message when the workflow refuses a move to done because blockers
+// are still open, otherwise null
+const getBlockedDoneError = async (issue, workflow, status) => {
+  if (
+    !workflow.blockDoneWhileBlocked ||
+    getStatusCategory(workflow, status) !== "done"
+  ) {
+    return null;
+  }
+
+  const blockers = await getOpenBlockers(issue._id);
+
+  if (blockers.length === 0) return null;
+
+  return `Issue is blocked by open issues: ${blockers
+    .map((blocker) => blocker.key)
+    .join(", ")}`;
+};
 
 // @desc    Create new issue
 // @route   POST /api/projects/:projectId/issues
 // @access  Private (Project Members)
 export const createIssue = asyncHandler(async (req, res) => {
-  const { title, description, priority, assignee, tags, dueDate } = req.body;
+  const {
+    title,
+    description,
+    priority,
+    assignee,
+    tags,
+    dueDate,
+    type,
+    parent,
+  } = req.body;
   const { projectId } = req.params;
 
   const project = await Project.findById(projectId);
@@ -19,42 +82,98 @@ export const createIssue = asyncHandler(async (req, res) => {
   }
 
   // Check if user is a member of the project
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
+  const role = project.getMemberRole(req.user._id);
 
-  if (!isMember) {
+  if (!role) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
 
+  if (role === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers cannot create issues");
+  }
+
   // Validate assignee is a project member if provided
   if (assignee) {
-    const isAssigneeMember = project.member.some(
-      (member) => member.toString() === assignee
-    );
-    if (!isAssigneeMember) {
+    if (!project.isMember(assignee)) {
       res.status(400);
       throw new Error("Assignee must be a project member");
     }
   }
 
-  // Generate unique key for issue
-  const issueCount = await Issue.countDocuments({ projectId });
-  const issueKey = `${project.key}-${issueCount + 1}`;
-
-  const issue = await Issue.create({
-    key: issueKey,
-    title,
-    description,
-    priority: priority || "medium",
-    assignee: assignee || null,
-    reporter: req.user._id,
+  // Validate issue type and parent
+  const issueType = type || "task";
+  const hierarchyError = await validateHierarchy({
+    issue: null,
+    type: issueType,
+    parentId: parent,
     projectId,
-    tags: tags || [],
-    dueDate: dueDate || null,
   });
 
+  if (hierarchyError) {
+    res.status(400);
+    throw new Error(hierarchyError);
+  }
+
+  const { mentions, unresolved } = await resolveMentions(description, project);
+
+  // Reserve the key and insert the issue in one transaction, so a
+  // concurrent rename of the key prefix either sees the new issue or makes
+  // this transaction retry with the new prefix
+  let issue;
+  await mongoose.connection.transaction(async (session) => {
+    const issueKey = await project.nextIssueKey({ session });
+
+    [issue] = await Issue.create(
+      [
+        {
+          key: issueKey,
+          title,
+          description,
+          status: getInitialStatus(getWorkflow(project)),
+          priority: priority || "medium",
+          type: issueType,
+          parent: parent || null,
+          assignee: assignee || null,
+          reporter: req.user._id,
+          projectId,
+          tags: tags || [],
+          dueDate: dueDate || null,
+          mentions,
+          watchers: assignee ? [req.user._id, assignee] : [req.user._id],
+        },
+      ],
+      { session }
+    );
+  });
+
+  await recordActivity({ issue, actor: req.user._id, action: "created" });
+
+  await notifyNewMentions({
+    mentions,
+    actor: req.user._id,
+    issue,
+    message: `${req.user.name} mentioned you in ${issue.key} "${issue.title}"`,
+  });
+
+  await publishEvent({
+    event: "issue.created",
+    project,
+    actor: req.user._id,
+    data: { issue: serializeIssue(issue) },
+  });
+
+  if (issue.assignee) {
+    await notify({
+      recipients: [issue.assignee],
+      actor: req.user._id,
+      type: "issue_assigned",
+      issue,
+      message: `${issue.key} "${issue.title}" was assigned to you`,
+    });
+  }
+
   const populatedIssue = await Issue.findById(issue._id)
     .populate("reporter", "name email avatar")
     .populate("assignee", "name email avatar")
@@ -70,11 +189,12 @@ export const createIssue = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     data: populatedIssue,
+    unresolvedMentions: unresolved,
   });
 });
 
 // @desc    Get all issues for a project
-// @route   GET /api/projects/:projectId/issues
+// @route   GET /api/projects/:projectId/issues?sprint=<sprintId>|backlog&q=<query>
 // @access  Private (Project Members)
 export const getProjectIssues = asyncHandler(async (req, res) => {
   const { projectId } = req.params;
@@ -82,7 +202,9 @@ export const getProjectIssues = asyncHandler(async (req, res) => {
     status,
     priority,
     assignee,
+    sprint,
     search,
+    q,
     page = 1,
     limit = 10,
   } = req.query;
@@ -95,11 +217,7 @@ export const getProjectIssues = asyncHandler(async (req, res) => {
   }
 
   // Check if user is a member of the project
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
-
-  if (!isMember) {
+  if (!project.isMember(req.user._id)) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
@@ -109,14 +227,37 @@ export const getProjectIssues = asyncHandler(async (req, res) => {
   if (status) filter.status = status;
   if (priority) filter.priority = priority;
   if (assignee) filter.assignee = assignee;
+  if (sprint === "backlog") {
+    filter.sprint = null;
+  } else if (sprint) {
+    if (!mongoose.isValidObjectId(sprint)) {
+      res.status(400);
+      throw new Error('Sprint filter must be "backlog" or a sprint ID');
+    }
+    filter.sprint = sprint;
+  }
   if (search) {
+    const pattern = escapeRegex(String(search));
     filter.$or = [
-      { title: { $regex: search, $options: "i" } },
-      { description: { $regex: search, $options: "i" } },
-      { key: { $regex: search, $options: "i" } },
+      { title: { $regex: pattern, $options: "i" } },
+      { description: { $regex: pattern, $options: "i" } },
+      { key: { $regex: pattern, $options: "i" } },
     ];
   }
 
+  // Structured query, e.g. "status in (todo, qa) AND due < now+7d"
+  let sort = { createdAt: -1 };
+  if (q) {
+    try {
+      const compiled = await compileIssueQuery(q, { userId: req.user._id });
+      filter.$and = [compiled.filter];
+      sort = compiled.sort || sort;
+    } catch (error) {
+      res.status(400);
+      throw new Error(`Invalid query: ${error.message}`);
+    }
+  }
+
   const pageNum = parseInt(page);
   const limitNum = parseInt(limit);
   const skip = (pageNum - 1) * limitNum;
@@ -125,7 +266,7 @@ export const getProjectIssues = asyncHandler(async (req, res) => {
     .populate("reporter", "name email avatar")
     .populate("assignee", "name email avatar")
     .populate("projectId", "name key")
-    .sort({ createdAt: -1 })
+    .sort(sort)
     .skip(skip)
     .limit(limitNum);
 
@@ -149,6 +290,8 @@ export const getIssue = asyncHandler(async (req, res) => {
     .populate("reporter", "name email avatar")
     .populate("assignee", "name email avatar")
     .populate("projectId", "name key owner")
+    .populate("sprint", "name state startDate endDate")
+    .populate("parent", "key title type status")
     .populate({
       path: "comments",
       populate: {
@@ -166,18 +309,76 @@ export const getIssue = asyncHandler(async (req, res) => {
   const project = await Project.findById(issue.projectId._id);
 
   // Check if user is a member of the project
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
+  if (!project.isMember(req.user._id)) {
+    res.status(403);
+    throw new Error("Access denied - Not a project member");
+  }
+
+  // Children and their progress roll-up
+  const children = await Issue.find({ parent: issue._id })
+    .select("key title type status priority assignee")
+    .populate("assignee", "name email avatar")
+    .sort({ createdAt: 1 });
+
+  const workflow = getWorkflow(project);
+  const doneChildren = children.filter(
+    (child) => getStatusCategory(workflow, child.status) === "done"
+  ).length;
+
+  res.json({
+    success: true,
+    data: {
+      ...issue.toObject(),
+      // Files attached to the issue itself and to its comments
+      allAttachments: await listIssueAttachments(issue._id),
+      children,
+      links: await listIssueLinks(issue._id, req.user._id),
+      progress: {
+        done: doneChildren,
+        total: children.length,
+        percent:
+          children.length > 0
+            ? Math.round((doneChildren / children.length) * 100)
+            : 0,
+      },
+    },
+  });
+});
+
+// @desc    Get single issue by its current or a previous key
+// @route   GET /api/issues/by-key/:key
+// @access  Private (Project Members)
+export const getIssueByKey = asyncHandler(async (req, res) => {
+  const key = req.params.key.toUpperCase();
+
+  // The current key wins over an alias left behind by a rename
+  const issue =
+    (await Issue.findOne({ key })) ||
+    (await Issue.findOne({ keyAliases: key }).sort({ updatedAt: -1 }));
 
-  if (!isMember) {
+  if (!issue) {
+    res.status(404);
+    throw new Error("Issue not found");
+  }
+
+  const project = await Project.findById(issue.projectId);
+
+  if (!project || !project.isMember(req.user._id)) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
 
+  const populatedIssue = await Issue.findById(issue._id)
+    .populate("reporter", "name email avatar")
+    .populate("assignee", "name email avatar")
+    .populate("projectId", "name key")
+    .populate("sprint", "name state startDate endDate")
+    .populate("parent", "key title type status");
+
   res.json({
     success: true,
-    data: issue,
+    data: populatedIssue,
+    matchedAlias: issue.key !== key,
   });
 });
 
@@ -195,44 +396,109 @@ export const updateIssue = asyncHandler(async (req, res) => {
   const project = await Project.findById(issue.projectId._id);
 
   // Check if user is a member of the project
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
+  const role = project.getMemberRole(req.user._id);
 
-  if (!isMember) {
+  if (!role) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
 
-  const isProjectOwner = project.owner.toString() === req.user._id.toString();
+  if (role === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers cannot update issues");
+  }
+
   const isReporter = issue.reporter.toString() === req.user._id.toString();
 
-  // Only project owner, reporter, or assignee can update the issue
+  // Only project owner, manager, reporter, or assignee can update the issue
   if (
-    !isProjectOwner &&
+    !project.canManage(req.user._id) &&
     !isReporter &&
     issue.assignee?.toString() !== req.user._id.toString()
   ) {
     res.status(403);
     throw new Error(
-      "Access denied - Only project owner, reporter, or assignee can update this issue"
+      "Access denied - Only project owner, manager, reporter, or assignee can update this issue"
     );
   }
 
-  const { title, description, status, priority, assignee, tags, dueDate } =
-    req.body;
+  const {
+    title,
+    description,
+    status,
+    priority,
+    assignee,
+    tags,
+    dueDate,
+    type,
+    parent,
+  } = req.body;
 
   // Validate assignee is a project member if provided
   if (assignee) {
-    const isAssigneeMember = project.member.some(
-      (member) => member.toString() === assignee
-    );
-    if (!isAssigneeMember) {
+    if (!project.isMember(assignee)) {
       res.status(400);
       throw new Error("Assignee must be a project member");
     }
   }
 
+  // Validate type and parent changes against the hierarchy rules
+  const newType = type || issue.type;
+  const newParent = parent !== undefined ? parent || null : issue.parent;
+
+  if (type !== undefined || parent !== undefined) {
+    const hierarchyError = await validateHierarchy({
+      issue,
+      type: newType,
+      parentId: newParent,
+      projectId: project._id,
+    });
+
+    if (hierarchyError) {
+      res.status(400);
+      throw new Error(hierarchyError);
+    }
+  }
+
+  // Status changes must follow the project workflow
+  if (status && status !== issue.status) {
+    const workflow = getWorkflow(project);
+
+    if (!isValidStatus(workflow, status)) {
+      res.status(400);
+      throw new Error("Invalid status value");
+    }
+
+    if (!canTransition(workflow, issue.status, status)) {
+      res.status(400);
+      throw new Error(
+        `Transition from "${
+          issue.status
+        }" to "${status}" is not allowed. Allowed: ${
+          getAllowedTransitions(workflow, issue.status).join(", ") || "none"
+        }`
+      );
+    }
+
+    const blockedError = await getBlockedDoneError(issue, workflow, status);
+
+    if (blockedError) {
+      res.status(400);
+      throw new Error(blockedError);
+    }
+  }
+
+  const previousMentions = issue.mentions.map((id) => id.toString());
+  let unresolvedMentions = [];
+
+  if (description) {
+    const resolved = await resolveMentions(description, project);
+    issue.mentions = resolved.mentions;
+    unresolvedMentions = resolved.unresolved;
+  }
+
+  const before = snapshotIssue(issue);
+
   issue.title = title || issue.title;
   issue.description = description || issue.description;
   issue.status = status || issue.status;
@@ -240,8 +506,30 @@ export const updateIssue = asyncHandler(async (req, res) => {
   issue.assignee = assignee !== undefined ? assignee : issue.assignee;
   issue.tags = tags || issue.tags;
   issue.dueDate = dueDate !== undefined ? dueDate : issue.dueDate;
+  issue.type = newType;
+  issue.parent = newParent;
+  if (issue.assignee) issue.watchers.addToSet(issue.assignee);
 
   const updatedIssue = await issue.save();
+  const changes = await recordIssueChanges(updatedIssue, req.user._id, before);
+  await notifyIssueChanges(updatedIssue, req.user._id, changes);
+
+  if (changes.length > 0) {
+    await publishEvent({
+      event: "issue.updated",
+      project,
+      actor: req.user._id,
+      data: { issue: serializeIssue(updatedIssue), changes },
+    });
+  }
+
+  await notifyNewMentions({
+    mentions: updatedIssue.mentions.map((id) => id.toString()),
+    previousMentions,
+    actor: req.user._id,
+    issue: updatedIssue,
+    message: `${req.user.name} mentioned you in ${updatedIssue.key} "${updatedIssue.title}"`,
+  });
 
   const populatedIssue = await Issue.findById(updatedIssue._id)
     .populate("reporter", "name email avatar")
@@ -258,12 +546,13 @@ export const updateIssue = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: populatedIssue,
+    unresolvedMentions,
   });
 });
 
 // @desc    Delete issue
-// @route   DELETE /api/issues/:id
-// @access  Private (Project Owner or Issue Reporter)
+// @route   DELETE /api/issues/:id?children=cascade|reparent&newParent=<issueId>
+// @access  Private (Project Owner, Manager or Issue Reporter)
 export const deleteIssue = asyncHandler(async (req, res) => {
   const issue = await Issue.findById(req.params.id).populate("projectId");
 
@@ -273,28 +562,101 @@ export const deleteIssue = asyncHandler(async (req, res) => {
   }
 
   const project = await Project.findById(issue.projectId._id);
-  const isProjectOwner = project.owner.toString() === req.user._id.toString();
+  const role = project.getMemberRole(req.user._id);
   const isReporter = issue.reporter.toString() === req.user._id.toString();
 
-  // Only project owner or reporter can delete the issue
-  if (!isProjectOwner && !isReporter) {
+  // Only project owner, manager, or reporter can delete the issue
+  if (
+    !project.canManage(req.user._id) &&
+    !(isReporter && role && role !== "viewer")
+  ) {
     res.status(403);
     throw new Error(
-      "Access denied - Only project owner or issue reporter can delete this issue"
+      "Access denied - Only project owner, manager, or issue reporter can delete this issue"
     );
   }
 
-  // Delete all comments associated with this issue
-  await Comment.deleteMany({ issueId: req.params.id });
+  // Issues with children need an explicit strategy: delete them too or move
+  // them under another parent
+  const { children: strategy, newParent } = req.query;
+  const children = await Issue.find({ parent: issue._id });
+  let removedIds = [issue._id];
+
+  if (children.length > 0) {
+    if (strategy === "cascade") {
+      removedIds = removedIds.concat(await getDescendantIds(issue._id));
+    } else if (strategy === "reparent") {
+      let target = null;
+
+      if (newParent) {
+        target = mongoose.isValidObjectId(newParent)
+          ? await Issue.findById(newParent)
+          : null;
+
+        if (
+          !target ||
+          target.projectId.toString() !== project._id.toString() ||
+          target._id.toString() === issue._id.toString()
+        ) {
+          res.status(400);
+          throw new Error("New parent must be another issue in this project");
+        }
+
+        // The new parent cannot be one of the issue's own descendants
+        const descendantIds = await getDescendantIds(issue._id);
+        if (descendantIds.some((id) => id.toString() === newParent)) {
+          res.status(400);
+          throw new Error("New parent cannot be a child of the deleted issue");
+        }
+      }
+
+      const invalidChild = children.find((child) =>
+        target
+          ? !canBeParentOf(target.type, child.type)
+          : child.type === "subtask"
+      );
+
+      if (invalidChild) {
+        res.status(400);
+        throw new Error(
+          target
+            ? `A ${target.type} cannot be the parent of ${invalidChild.key} (${invalidChild.type})`
+            : `${invalidChild.key} is a sub-task and needs a new parent`
+        );
+      }
+
+      const before = children.map((child) => snapshotIssue(child));
+
+      for (const [index, child] of children.entries()) {
+        child.parent = target ? target._id : null;
+        await child.save();
+        await recordIssueChanges(child, req.user._id, before[index]);
+      }
+    } else {
+      res.status(400);
+      throw new Error(
+        "This issue has children. Use ?children=cascade to delete them or ?children=reparent&newParent=<issueId> to move them"
+      );
+    }
+  }
+
+  const removedIssues = await Issue.find({ _id: { $in: removedIds } });
 
-  // Delete all attachments associated with this issue
-  await Attachment.deleteMany({ _id: { $in: issue.attachments } });
+  await removeIssues(removedIds);
 
-  await Issue.findByIdAndDelete(req.params.id);
+  for (const removedIssue of removedIssues) {
+    await publishEvent({
+      event: "issue.deleted",
+      project,
+      actor: req.user._id,
+      data: { issue: serializeIssue(removedIssue) },
+    });
+  }
 
   res.json({
     success: true,
     message: "Issue and associated data deleted successfully",
+    deletedIssues: removedIds.length,
   });
 });
 
@@ -315,30 +677,35 @@ export const assignIssue = asyncHandler(async (req, res) => {
   const project = await Project.findById(issue.projectId._id);
 
   // Check if user is a member of the project
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
-
-  if (!isMember) {
+  if (!project.isMember(req.user._id)) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
 
   // Validate assignee is a project member if provided
   if (targetAssignee) {
-    const isAssigneeMember = project.member.some(
-      (member) => member.toString() === targetAssignee
-    );
-
-    if (!isAssigneeMember) {
+    if (!project.isMember(targetAssignee)) {
       res.status(400);
       throw new Error("Assignee must be a project member");
     }
   }
 
   // Update assignee
+  const before = snapshotIssue(issue);
   issue.assignee = targetAssignee || null;
+  if (issue.assignee) issue.watchers.addToSet(issue.assignee);
   await issue.save();
+  const changes = await recordIssueChanges(issue, req.user._id, before);
+  await notifyIssueChanges(issue, req.user._id, changes);
+
+  if (changes.length > 0) {
+    await publishEvent({
+      event: "issue.updated",
+      project,
+      actor: req.user._id,
+      data: { issue: serializeIssue(issue), changes },
+    });
+  }
 
   // Return populated assignee data
   const populatedIssue = await Issue.findById(issue._id)
@@ -373,13 +740,45 @@ export const updateIssueStatus = asyncHandler(async (req, res) => {
     throw new Error("Access denied - Only the assignee can update the status");
   }
 
-  if (!["todo", "inprogress", "done"].includes(status)) {
+  const workflow = getWorkflow(issue.projectId);
+
+  if (!isValidStatus(workflow, status)) {
     res.status(400);
     throw new Error("Invalid status value");
   }
 
+  if (!canTransition(workflow, issue.status, status)) {
+    res.status(400);
+    throw new Error(
+      `Transition from "${
+        issue.status
+      }" to "${status}" is not allowed. Allowed: ${
+        getAllowedTransitions(workflow, issue.status).join(", ") || "none"
+      }`
+    );
+  }
+
+  const blockedError = await getBlockedDoneError(issue, workflow, status);
+
+  if (blockedError) {
+    res.status(400);
+    throw new Error(blockedError);
+  }
+
+  const before = snapshotIssue(issue);
   issue.status = status;
   await issue.save();
+  const changes = await recordIssueChanges(issue, req.user._id, before);
+  await notifyIssueChanges(issue, req.user._id, changes);
+
+  if (changes.length > 0) {
+    await publishEvent({
+      event: "issue.updated",
+      project: issue.projectId,
+      actor: req.user._id,
+      data: { issue: serializeIssue(issue), changes },
+    });
+  }
 
   const populatedIssue = await Issue.findById(issue._id)
     .populate("reporter", "name email avatar")
@@ -396,13 +795,25 @@ export const updateIssueStatus = asyncHandler(async (req, res) => {
 // @route   GET /api/issues/assigned-to-me
 // @access  Private
 export const getMyAssignedIssues = asyncHandler(async (req, res) => {
-  const { status, priority, page = 1, limit = 10 } = req.query;
+  const { status, priority, q, page = 1, limit = 10 } = req.query;
 
   let filter = { assignee: req.user._id };
 
   if (status) filter.status = status;
   if (priority) filter.priority = priority;
 
+  let sort = { createdAt: -1 };
+  if (q) {
+    try {
+      const compiled = await compileIssueQuery(q, { userId: req.user._id });
+      filter.$and = [compiled.filter];
+      sort = compiled.sort || sort;
+    } catch (error) {
+      res.status(400);
+      throw new Error(`Invalid query: ${error.message}`);
+    }
+  }
+
   const pageNum = parseInt(page);
   const limitNum = parseInt(limit);
   const skip = (pageNum - 1) * limitNum;
@@ -411,7 +822,7 @@ export const getMyAssignedIssues = asyncHandler(async (req, res) => {
     .populate("reporter", "name email avatar")
     .populate("assignee", "name email avatar")
     .populate("projectId", "name key")
-    .sort({ createdAt: -1 })
+    .sort(sort)
     .skip(skip)
     .limit(limitNum);
 
@@ -461,3 +872,338 @@ export const getMyReportedIssues = asyncHandler(async (req, res) => {
     data: issues,
   });
 });
+
+// @desc    Get issue change history
+// @route   GET /api/issues/:id/history
+// @access  Private (Project Members)
+export const getIssueHistory = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const filter = { issueId: req.params.id };
+
+  const activities = await IssueActivity.find(filter)
+    .populate("actor", "name email avatar")
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await IssueActivity.countDocuments(filter);
+
+  res.json({
+    success: true,
+    count: activities.length,
+    total,
+    totalPages: Math.ceil(total / limitNum),
+    currentPage: pageNum,
+    data: activities,
+  });
+});
+
+// @desc    Get issue links
+// @route   GET /api/issues/:id/links
+// @access  Private (Project Members)
+export const getIssueLinks = asyncHandler(async (req, res) => {
+  const links = await listIssueLinks(req.issue._id, req.user._id);
+
+  res.json({
+    success: true,
+    count: links.length,
+    data: links,
+  });
+});
+
+// @desc    Link issue to another issue
+// @route   POST /api/issues/:id/links
+// @access  Private (Project Owner, Manager, Reporter or Assignee)
+export const createIssueLink = asyncHandler(async (req, res) => {
+  const { type, targetIssue } = req.body;
+  const issue = req.issue;
+
+  const linkType = normalizeLinkType(type);
+
+  if (!linkType) {
+    res.status(400);
+    throw new Error(
+      "Invalid link type. Allowed types: blocks, is_blocked_by, duplicates, is_duplicated_by, relates_to, clones, is_cloned_by"
+    );
+  }
+
+  if (!targetIssue) {
+    res.status(400);
+    throw new Error("Target issue ID or key is required");
+  }
+
+  // The target can be given by id or by key
+  const target = mongoose.isValidObjectId(targetIssue)
+    ? await Issue.findById(targetIssue)
+    : await Issue.findOne({ key: String(targetIssue).toUpperCase() });
+
+  if (!target) {
+    res.status(404);
+    throw new Error("Target issue not found");
+  }
+
+  if (target._id.toString() === issue._id.toString()) {
+    res.status(400);
+    throw new Error("An issue cannot be linked to itself");
+  }
+
+  // Links may cross projects, but only ones the user belongs to
+  const targetProject = await Project.findById(target.projectId);
+
+  if (!targetProject || !targetProject.isMember(req.user._id)) {
+    res.status(403);
+    throw new Error(
+      "Access denied - Not a member of the target issue's project"
+    );
+  }
+
+  const [source, destination] = linkType.inverse
+    ? [target, issue]
+    : [issue, target];
+
+  const existingLink = await IssueLink.findOne({
+    source: source._id,
+    target: destination._id,
+    type: linkType.type,
+  });
+
+  if (existingLink) {
+    res.status(400);
+    throw new Error("These issues are already linked this way");
+  }
+
+  if (
+    linkType.type === "blocks" &&
+    (await createsBlockCycle(source._id, destination._id))
+  ) {
+    res.status(400);
+    throw new Error(
+      `Link rejected - ${destination.key} already blocks ${source.key}, which would create a cycle`
+    );
+  }
+
+  const link = await IssueLink.create({
+    source: source._id,
+    target: destination._id,
+    type: linkType.type,
+    createdBy: req.user._id,
+  });
+
+  await recordActivity({
+    issue,
+    actor: req.user._id,
+    action: "link_added",
+    field: "link",
+    newValue: `${type} ${target.key}`,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: link,
+    links: await listIssueLinks(issue._id, req.user._id),
+  });
+});
+
+// @desc    Remove issue link
+// @route   DELETE /api/issues/:id/links/:linkId
+// @access  Private (Project Owner, Manager, Reporter or Assignee)
+export const deleteIssueLink = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.linkId)) {
+    res.status(400);
+    throw new Error("Invalid link ID");
+  }
+
+  const link = await IssueLink.findOne({
+    _id: req.params.linkId,
+    $or: [{ source: req.issue._id }, { target: req.issue._id }],
+  });
+
+  if (!link) {
+    res.status(404);
+    throw new Error("Link not found for this issue");
+  }
+
+  await IssueLink.findByIdAndDelete(link._id);
+
+  const isOutward = link.source.toString() === req.issue._id.toString();
+  const other = await Issue.findById(isOutward ? link.target : link.source);
+
+  await recordActivity({
+    issue: req.issue,
+    actor: req.user._id,
+    action: "link_removed",
+    field: "link",
+    oldValue: `${link.type} ${other?.key || ""}`.trim(),
+  });
+
+  res.json({
+    success: true,
+    message: "Link removed successfully",
+  });
+});
+
+// @desc    Get issue watchers
+// @route   GET /api/issues/:id/watchers
+// @access  Private (Project Members)
+export const getIssueWatchers = asyncHandler(async (req, res) => {
+  await req.issue.populate("watchers", "name email avatar");
+
+  res.json({
+    success: true,
+    count: req.issue.watchers.length,
+    data: req.issue.watchers,
+  });
+});
+
+// @desc    Watch issue
+// @route   POST /api/issues/:id/watchers
+// @access  Private (Project Members)
+export const watchIssue = asyncHandler(async (req, res) => {
+  await Issue.updateOne(
+    { _id: req.issue._id },
+    { $addToSet: { watchers: req.user._id } }
+  );
+
+  res.json({
+    success: true,
+    message: "You are now watching this issue",
+  });
+});
+
+// @desc    Stop watching issue
+// @route   DELETE /api/issues/:id/watchers
+// @access  Private (Project Members)
+export const unwatchIssue = asyncHandler(async (req, res) => {
+  await Issue.updateOne(
+    { _id: req.issue._id },
+    { $pull: { watchers: req.user._id } }
+  );
+
+  res.json({
+    success: true,
+    message: "You are no longer watching this issue",
+  });
+});
+
+// @desc    Get attachments of an issue and its comments
+// @route   GET /api/issues/:id/attachments
+// @access  Private (Project Members)
+export const getIssueAttachments = asyncHandler(async (req, res) => {
+  const attachments = await listIssueAttachments(req.issue._id);
+
+  res.json({
+    success: true,
+    count: attachments.length,
+    data: attachments,
+  });
+});
+
+// @desc    Attach existing uploads to an issue
+// @route   POST /api/issues/:id/attachments
+// @access  Private (Project members except viewers)
+export const addIssueAttachments = asyncHandler(async (req, res) => {
+  const { attachments } = req.body;
+
+  if (req.memberRole === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers have read-only access");
+  }
+
+  if (
+    !Array.isArray(attachments) ||
+    attachments.length === 0 ||
+    !attachments.every((id) => mongoose.isValidObjectId(id))
+  ) {
+    res.status(400);
+    throw new Error("attachments must be a list of attachment ids");
+  }
+
+  const attachmentIds = [...new Set(attachments.map(String))];
+
+  // Only your own uploads that are not attached anywhere else yet
+  const validAttachments = await Attachment.find({
+    _id: { $in: attachmentIds },
+    uploadedBy: req.user._id,
+    commentId: null,
+    issueId: { $in: [null, req.issue._id] },
+  });
+
+  if (validAttachments.length !== attachmentIds.length) {
+    res.status(400);
+    throw new Error(
+      "Some attachments are invalid, not owned by you or already attached elsewhere"
+    );
+  }
+
+  const alreadyAttached = req.issue.attachments.map((id) => id.toString());
+  const newIds = attachmentIds.filter((id) => !alreadyAttached.includes(id));
+
+  if (!(await attachToIssue(req.issue, newIds, req.user._id))) {
+    res.status(409);
+    throw new Error(
+      "Some attachments were attached elsewhere in the meantime, please try again"
+    );
+  }
+
+  res.json({
+    success: true,
+    message: `${newIds.length} attachment(s) added to ${req.issue.key}`,
+    data: await listIssueAttachments(req.issue._id),
+  });
+});
+
+// @desc    Detach an attachment from an issue (the upload itself is kept)
+// @route   DELETE /api/issues/:id/attachments/:attachmentId
+// @access  Private (Uploader or project owner/manager)
+export const removeIssueAttachment = asyncHandler(async (req, res) => {
+  const { attachmentId } = req.params;
+
+  const attachment = mongoose.isValidObjectId(attachmentId)
+    ? await Attachment.findOne({ _id: attachmentId, issueId: req.issue._id })
+    : null;
+
+  if (!attachment) {
+    res.status(404);
+    throw new Error("Attachment not found on this issue");
+  }
+
+  const isUploader =
+    attachment.uploadedBy.toString() === req.user._id.toString();
+
+  if (
+    req.memberRole === "viewer" ||
+    (!isUploader && !req.project.canManage(req.user._id))
+  ) {
+    res.status(403);
+    throw new Error(
+      "Access denied - Only the uploader or a project owner or manager can remove this attachment"
+    );
+  }
+
+  await Attachment.updateOne(
+    { _id: attachment._id },
+    { $unset: { issueId: "" } }
+  );
+  await Issue.updateOne(
+    { _id: req.issue._id },
+    { $pull: { attachments: attachment._id } }
+  );
+
+  await recordActivity({
+    issue: req.issue,
+    actor: req.user._id,
+    action: "attachment_removed",
+    field: "attachment",
+    oldValue: attachment._id,
+  });
+
+  res.json({
+    success: true,
+    message: "Attachment removed from issue",
+  });
+});
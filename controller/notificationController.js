@@ -0,0 +1,217 @@
+import mongoose from "mongoose";
+import Notification from "../models/Notification.js";
+import asyncHandler from "express-async-handler";
+import { PREFERENCE_BY_TYPE } from "../utils/notifications.js";
+import {
+  isValidTimezone,
+  MAX_REMINDER_HOURS,
+} from "../utils/scheduledEmails.js";
+
+const PREFERENCE_KEYS = [...new Set(Object.values(PREFERENCE_BY_TYPE))];
+
+// @desc    Get current user's notifications
+// @route   GET /api/notifications?unread=true
+// @access  Private
+export const getNotifications = asyncHandler(async (req, res) => {
+  const { unread, page = 1, limit = 20 } = req.query;
+
+  const filter = { recipient: req.user._id };
+  if (unread === "true") filter.read = false;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const notifications = await Notification.find(filter)
+    .populate("actor", "name email avatar")
+    .populate("projectId", "name key")
+    .populate("issueId", "key title status")
+    .sort({ updatedAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Notification.countDocuments(filter);
+
+  res.json({
+    success: true,
+    count: notifications.length,
+    total,
+    totalPages: Math.ceil(total / limitNum),
+    currentPage: pageNum,
+    data: notifications,
+  });
+});
+
+// @desc    Count current user's unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+export const getUnreadCount = asyncHandler(async (req, res) => {
+  const count = await Notification.countDocuments({
+    recipient: req.user._id,
+    read: false,
+  });
+
+  res.json({
+    success: true,
+    data: { count },
+  });
+});
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private (Notification recipient)
+export const markNotificationRead = asyncHandler(async (req, res) => {
+  const notification = mongoose.isValidObjectId(req.params.id)
+    ? await Notification.findOne({
+        _id: req.params.id,
+        recipient: req.user._id,
+      })
+    : null;
+
+  if (!notification) {
+    res.status(404);
+    throw new Error("Notification not found");
+  }
+
+  if (!notification.read) {
+    notification.read = true;
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res.json({
+    success: true,
+    data: notification,
+  });
+});
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+
+  res.json({
+    success: true,
+    message: `${result.modifiedCount} notification(s) marked as read`,
+  });
+});
+
+// @desc    Get current user's notification preferences
+// @route   GET /api/notifications/preferences
+// @access  Private
+export const getNotificationPreferences = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.notificationPreferences,
+  });
+});
+
+// @desc    Update current user's notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+export const updateNotificationPreferences = asyncHandler(async (req, res) => {
+  const preferences = req.body || {};
+
+  for (const [key, value] of Object.entries(preferences)) {
+    if (!PREFERENCE_KEYS.includes(key)) {
+      res.status(400);
+      throw new Error(
+        `Invalid preference "${key}". Allowed: ${PREFERENCE_KEYS.join(", ")}`
+      );
+    }
+
+    if (typeof value !== "boolean") {
+      res.status(400);
+      throw new Error(`Preference "${key}" must be true or false`);
+    }
+
+    req.user.notificationPreferences[key] = value;
+  }
+
+  await req.user.save();
+
+  res.json({
+    success: true,
+    data: req.user.notificationPreferences,
+  });
+});
+
+// @desc    Get current user's digest and reminder email preferences
+// @route   GET /api/notifications/email-preferences
+// @access  Private
+export const getEmailPreferences = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.emailPreferences,
+  });
+});
+
+// @desc    Update current user's digest and reminder email preferences
+// @route   PUT /api/notifications/email-preferences
+// @access  Private
+export const updateEmailPreferences = asyncHandler(async (req, res) => {
+  const { digest = {}, dueReminders = {} } = req.body || {};
+  const preferences = req.user.emailPreferences;
+
+  if (digest.enabled !== undefined) {
+    if (typeof digest.enabled !== "boolean") {
+      res.status(400);
+      throw new Error("digest.enabled must be true or false");
+    }
+    preferences.digest.enabled = digest.enabled;
+  }
+
+  if (digest.hour !== undefined) {
+    if (!Number.isInteger(digest.hour) || digest.hour < 0 || digest.hour > 23) {
+      res.status(400);
+      throw new Error("digest.hour must be a whole hour between 0 and 23");
+    }
+    preferences.digest.hour = digest.hour;
+  }
+
+  if (digest.timezone !== undefined) {
+    if (
+      typeof digest.timezone !== "string" ||
+      !isValidTimezone(digest.timezone)
+    ) {
+      res.status(400);
+      throw new Error(
+        "digest.timezone must be an IANA timezone like Europe/Berlin"
+      );
+    }
+    preferences.digest.timezone = digest.timezone;
+  }
+
+  if (dueReminders.enabled !== undefined) {
+    if (typeof dueReminders.enabled !== "boolean") {
+      res.status(400);
+      throw new Error("dueReminders.enabled must be true or false");
+    }
+    preferences.dueReminders.enabled = dueReminders.enabled;
+  }
+
+  if (dueReminders.hoursBefore !== undefined) {
+    if (
+      !Number.isInteger(dueReminders.hoursBefore) ||
+      dueReminders.hoursBefore < 1 ||
+      dueReminders.hoursBefore > MAX_REMINDER_HOURS
+    ) {
+      res.status(400);
+      throw new Error(
+        `dueReminders.hoursBefore must be between 1 and ${MAX_REMINDER_HOURS}`
+      );
+    }
+    preferences.dueReminders.hoursBefore = dueReminders.hoursBefore;
+  }
+
+  await req.user.save();
+
+  res.json({
+    success: true,
+    data: req.user.emailPreferences,
+  });
+});
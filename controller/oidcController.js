@@ -0,0 +1,269 @@
+import crypto from "crypto";
+import User from "../models/User.js";
+import OidcLogin from "../models/OidcLogin.js";
+import asyncHandler from "express-async-handler";
+import {
+  createSession,
+  hashToken,
+  revokeAllSessions,
+} from "../utils/sessions.js";
+import {
+  createChallengeToken,
+  isTwoFactorRequired,
+} from "../utils/twoFactor.js";
+import {
+  getOidcConfig,
+  createLoginParams,
+  getAuthorizationUrl,
+  exchangeCode,
+  getRoleFromClaims,
+} from "../utils/oidc.js";
+
+// Time allowed at the identity provider, and for the frontend to redeem the
+// login code afterwards
+const LOGIN_ATTEMPT_MS = 10 * 60 * 1000;
+const LOGIN_CODE_MS = 60 * 1000;
+
+// The state is also kept in a cookie so the callback only completes in the
+// browser that started the login. Otherwise anyone could send a victim a
+// callback URL for their own provider account (login CSRF).
+const STATE_COOKIE = "oidc_state";
+
+const getStateCookieOptions = (config) => ({
+  httpOnly: true,
+  sameSite: "lax",
+  secure: new URL(config.redirectUri).protocol === "https:",
+  path: "/api/auth/oidc",
+});
+
+const getCookie = (req, name) => {
+  for (const pair of (req.headers.cookie || "").split(";")) {
+    const separator = pair.indexOf("=");
+    if (separator !== -1 && pair.slice(0, separator).trim() === name) {
+      return pair.slice(separator + 1).trim();
+    }
+  }
+
+  return null;
+};
+
+const matchesStateCookie = (req, state) => {
+  const cookie = getCookie(req, STATE_COOKIE);
+  if (!cookie || !state) return false;
+
+  const expected = Buffer.from(hashToken(cookie));
+  const actual = Buffer.from(hashToken(String(state)));
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const requireOidcConfig = (res) => {
+  const config = getOidcConfig();
+
+  if (!config) {
+    res.status(404);
+    throw new Error("Single sign-on is not configured");
+  }
+
+  return config;
+};
+
+// Find the user for the provider identity, linking an existing account with
+// the same verified email on first login or creating a new one
+const findOrCreateOidcUser = async (config, claims) => {
+  const email = claims.email?.toLowerCase();
+
+  if (!email || claims.email_verified !== true) {
+    throw new Error("The identity provider did not return a verified email");
+  }
+
+  const role = getRoleFromClaims(config, claims);
+  const identity = { "oidc.issuer": claims.iss, "oidc.subject": claims.sub };
+
+  let user = await User.findOne(identity);
+
+  if (!user) {
+    user = await User.findOne({ email });
+
+    if (user?.oidc?.subject) {
+      throw new Error("This email is linked to another single sign-on account");
+    }
+  }
+
+  if (!user) {
+    // The random password is never shown; the user can set one with the
+    // forgot password flow
+    return User.create({
+      name: claims.name || claims.preferred_username || email,
+      email,
+      password: crypto.randomBytes(32).toString("hex"),
+      avatar: claims.picture || "",
+      role: role || "developer",
+      emailVerified: true,
+      oidc: { issuer: claims.iss, subject: claims.sub, linkedAt: new Date() },
+    });
+  }
+
+  if (!user.oidc?.subject) {
+    user.oidc = {
+      issuer: claims.iss,
+      subject: claims.sub,
+      linkedAt: new Date(),
+    };
+
+    // An unverified account may have been registered by someone else with
+    // this address, so whoever knows its password is signed out for good
+    if (!user.emailVerified) {
+      user.password = crypto.randomBytes(32).toString("hex");
+      await revokeAllSessions(user._id, "oidc_linked");
+    }
+  }
+
+  // The provider has confirmed the address, so a pending change to it is done
+  if (user.pendingEmail === email) {
+    user.email = email;
+    user.pendingEmail = undefined;
+  }
+  if (user.email === email) user.emailVerified = true;
+
+  if (role) user.role = role;
+
+  await user.save({ validateBeforeSave: false });
+  return user;
+};
+
+// @desc    Start single sign-on at the identity provider
+// @route   GET /api/auth/oidc/login
+// @access  Public
+export const startOidcLogin = asyncHandler(async (req, res) => {
+  const config = requireOidcConfig(res);
+  const { state, nonce, codeVerifier, codeChallenge } = createLoginParams();
+
+  const url = await getAuthorizationUrl(config, {
+    state,
+    nonce,
+    codeChallenge,
+  });
+
+  await OidcLogin.create({
+    state,
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + LOGIN_ATTEMPT_MS),
+  });
+
+  res.cookie(STATE_COOKIE, state, {
+    ...getStateCookieOptions(config),
+    maxAge: LOGIN_ATTEMPT_MS,
+  });
+  res.redirect(url);
+});
+
+// @desc    Handle the identity provider redirect and send the browser back
+//          to the frontend with a one-time login code
+// @route   GET /api/auth/oidc/callback
+// @access  Public
+export const handleOidcCallback = asyncHandler(async (req, res) => {
+  const config = requireOidcConfig(res);
+  const frontendUrl = new URL("/auth/sso", process.env.FRONTEND_URL);
+  const { code, state, error, error_description } = req.query;
+  const fromThisBrowser = matchesStateCookie(req, state);
+
+  res.clearCookie(STATE_COOKIE, getStateCookieOptions(config));
+
+  try {
+    if (error) throw new Error(error_description || error);
+
+    const login = fromThisBrowser
+      ? await OidcLogin.findOneAndUpdate(
+          {
+            state: String(state),
+            user: null,
+            expiresAt: { $gt: new Date() },
+          },
+          // Consume the state so the callback cannot be replayed
+          { $set: { expiresAt: new Date() } }
+        )
+      : null;
+
+    if (!login || !code) {
+      throw new Error("Invalid or expired login attempt, please try again");
+    }
+
+    const claims = await exchangeCode(config, {
+      code: String(code),
+      codeVerifier: login.codeVerifier,
+      nonce: login.nonce,
+    });
+
+    const user = await findOrCreateOidcUser(config, claims);
+    const loginCode = crypto.randomBytes(32).toString("base64url");
+
+    await OidcLogin.updateOne(
+      { _id: login._id },
+      {
+        $set: {
+          user: user._id,
+          loginCodeHash: hashToken(loginCode),
+          expiresAt: new Date(Date.now() + LOGIN_CODE_MS),
+        },
+      }
+    );
+
+    frontendUrl.searchParams.set("code", loginCode);
+  } catch (error) {
+    console.error("Single sign-on failed:", error);
+    frontendUrl.searchParams.set("error", error.message);
+  }
+
+  res.redirect(frontendUrl.toString());
+});
+
+// @desc    Exchange the one-time login code for tokens
+// @route   POST /api/auth/oidc/token
+// @access  Public
+export const exchangeOidcLoginCode = asyncHandler(async (req, res) => {
+  requireOidcConfig(res);
+
+  const { code } = req.body;
+
+  const login = code
+    ? await OidcLogin.findOneAndDelete({
+        loginCodeHash: hashToken(String(code)),
+        expiresAt: { $gt: new Date() },
+      })
+    : null;
+  const user = login ? await User.findById(login.user) : null;
+
+  if (!user) {
+    res.status(401);
+    throw new Error("Invalid or expired login code");
+  }
+
+  if (user.deactivatedAt) {
+    res.status(403);
+    throw new Error("Account is deactivated");
+  }
+
+  // Accounts with two-factor authentication still need a code
+  if (user.twoFactor.enabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(user._id),
+    });
+  }
+
+  const { token, refreshToken } = await createSession(user._id, req);
+
+  res.json({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    avatar: user.avatar,
+    role: user.role,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: false,
+    twoFactorSetupRequired: await isTwoFactorRequired(user),
+    token,
+    refreshToken,
+  });
+});
@@ -1,9 +1,38 @@
 import Project from "../models/Project.js";
 import User from "../models/User.js";
 import Issue from "../models/Issue.js";
+import IssueActivity from "../models/IssueActivity.js";
+import Sprint from "../models/Sprint.js";
+import Notification from "../models/Notification.js";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import SavedFilter from "../models/SavedFilter.js";
+import mongoose from "mongoose";
 import asyncHandler from "express-async-handler";
 import crypto from "crypto";
 import sendEmail from "../utils/email.js";
+import { notify } from "../utils/notifications.js";
+import { publishEvent } from "../utils/events.js";
+import { removeIssues } from "../utils/issueRemoval.js";
+import { disconnectUser, closeChannel } from "../utils/realtime.js";
+import {
+  getWorkflow,
+  getStatusCategory,
+  isValidStatus,
+  normalizeWorkflow,
+} from "../utils/workflow.js";
+
+const MEMBER_ROLES = ["manager", "developer", "viewer"];
+
+// Find another project whose issue keys already use this prefix
+const findPrefixConflict = (prefix, excludeProjectId) =>
+  Project.findOne({
+    _id: { $ne: excludeProjectId },
+    $or: [
+      { "settings.issuePrefix": prefix },
+      { key: prefix, "settings.issuePrefix": { $in: ["", null] } },
+    ],
+  });
 
 // @desc    Create new project
 // @route   POST /api/projects
@@ -18,17 +47,24 @@ export const createProject = asyncHandler(async (req, res) => {
     throw new Error("Project with this key already exists");
   }
 
+  if (await findPrefixConflict(key.toUpperCase(), null)) {
+    res.status(400);
+    throw new Error(
+      "Another project already uses this key as its issue prefix"
+    );
+  }
+
   const project = await Project.create({
     name,
     description,
     key: key.toUpperCase(),
-    member: [req.user._id], // Creator becomes first member
+    member: [{ user: req.user._id, role: "owner" }], // Creator becomes first member
     owner: req.user._id,
   });
 
   if (project) {
     const populatedProject = await Project.findById(project._id)
-      .populate("member", "name email avatar role")
+      .populate("member.user", "name email avatar role")
       .populate("owner", "name email avatar");
 
     res.status(201).json({
@@ -46,9 +82,9 @@ export const createProject = asyncHandler(async (req, res) => {
 // @access  Private
 export const getProjects = asyncHandler(async (req, res) => {
   const projects = await Project.find({
-    member: req.user._id,
+    "member.user": req.user._id,
   })
-    .populate("member", "name email avatar role")
+    .populate("member.user", "name email avatar role")
     .populate("owner", "name email avatar")
     .sort({ createdAt: -1 });
 
@@ -64,7 +100,7 @@ export const getProjects = asyncHandler(async (req, res) => {
 // @access  Private
 export const getProject = asyncHandler(async (req, res) => {
   const project = await Project.findById(req.params.id)
-    .populate("member", "name email avatar role")
+    .populate("member.user", "name email avatar role")
     .populate("owner", "name email avatar");
 
   if (!project) {
@@ -73,11 +109,9 @@ export const getProject = asyncHandler(async (req, res) => {
   }
 
   // Check if user is a member of the project
-  const isMember = project.member.some(
-    (member) => member._id.toString() === req.user._id.toString()
-  );
+  const role = project.getMemberRole(req.user._id);
 
-  if (!isMember) {
+  if (!role) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
@@ -85,12 +119,13 @@ export const getProject = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: project,
+    role,
   });
 });
 
 // @desc    Update project
 // @route   PUT /api/projects/:id
-// @access  Private (Project Owner Only)
+// @access  Private (Project Owner or Manager)
 export const updateProject = asyncHandler(async (req, res) => {
   const project = await Project.findById(req.params.id);
 
@@ -99,13 +134,15 @@ export const updateProject = asyncHandler(async (req, res) => {
     throw new Error("Project not found");
   }
 
-  // Check if user is project owner
-  if (project.owner.toString() !== req.user._id.toString()) {
+  // Check if user is project owner or manager
+  if (!project.canManage(req.user._id)) {
     res.status(403);
-    throw new Error("Access denied - Only project owner can update project");
+    throw new Error(
+      "Access denied - Only project owner or manager can update project"
+    );
   }
 
-  const { name, description, key } = req.body;
+  const { name, description, key, settings } = req.body;
 
   // Check if new key conflicts with existing projects (if key is being changed)
   if (key && key.toUpperCase() !== project.key) {
@@ -116,18 +153,88 @@ export const updateProject = asyncHandler(async (req, res) => {
     }
   }
 
+  const issuePrefix =
+    settings?.issuePrefix !== undefined
+      ? String(settings.issuePrefix || "").toUpperCase()
+      : project.settings.issuePrefix;
+
+  if (issuePrefix && !/^[A-Z][A-Z0-9]*$/.test(issuePrefix)) {
+    res.status(400);
+    throw new Error(
+      "Issue prefix must start with a letter and contain only letters and numbers"
+    );
+  }
+
+  // Issue keys are unique across projects, so the prefix must be too
+  const oldPrefix = project.getIssuePrefix();
+  const newPrefix = issuePrefix || (key ? key.toUpperCase() : project.key);
+
+  if (
+    newPrefix !== oldPrefix &&
+    (await findPrefixConflict(newPrefix, project._id))
+  ) {
+    res.status(400);
+    throw new Error(
+      `Issue prefix "${newPrefix}" is already used by another project`
+    );
+  }
+
   project.name = name || project.name;
   project.description = description || project.description;
   project.key = key ? key.toUpperCase() : project.key;
+  project.settings.issuePrefix = issuePrefix;
+
+  let renamedIssues = 0;
+
+  if (newPrefix !== oldPrefix) {
+    // Rewrite every issue key together with the project so keys never
+    // disagree with the project. Old keys are kept as aliases.
+    await mongoose.connection.transaction(async (session) => {
+      const issues = await Issue.find(
+        { projectId: project._id },
+        "key keyAliases",
+        { session }
+      );
+
+      const operations = issues
+        .map((issue) => {
+          const number = /-(\d+)$/.exec(issue.key)?.[1];
+          const newKey = number ? `${newPrefix}-${number}` : null;
+
+          if (!newKey || newKey === issue.key) return null;
+
+          const keyAliases = [
+            ...new Set([...(issue.keyAliases || []), issue.key]),
+          ].filter((alias) => alias !== newKey);
+
+          return {
+            updateOne: {
+              filter: { _id: issue._id },
+              update: { $set: { key: newKey, keyAliases } },
+            },
+          };
+        })
+        .filter(Boolean);
+
+      if (operations.length > 0) {
+        await Issue.bulkWrite(operations, { session });
+      }
+
+      renamedIssues = operations.length;
+      await project.save({ session });
+    });
+  } else {
+    await project.save();
+  }
 
-  const updatedProject = await project.save();
-  const populatedProject = await Project.findById(updatedProject._id)
-    .populate("member", "name email avatar role")
+  const populatedProject = await Project.findById(project._id)
+    .populate("member.user", "name email avatar role")
     .populate("owner", "name email avatar");
 
   res.json({
     success: true,
     data: populatedProject,
+    renamedIssues,
   });
 });
 
@@ -148,10 +255,20 @@ export const deleteProject = asyncHandler(async (req, res) => {
     throw new Error("Access denied - Only project owner can delete project");
   }
 
-  // Delete all issues associated with this project
-  await Issue.deleteMany({ projectId: req.params.id });
+  // Delete the issues with their comments, attachments (stored files
+  // included) and links, which other projects' issues may point at
+  const issueIds = await Issue.find({ projectId: project._id }).distinct("_id");
+  await removeIssues(issueIds);
+
+  await IssueActivity.deleteMany({ projectId: req.params.id });
+  await Sprint.deleteMany({ projectId: req.params.id });
+  await Notification.deleteMany({ projectId: req.params.id });
+  await Webhook.deleteMany({ projectId: req.params.id });
+  await WebhookDelivery.deleteMany({ projectId: req.params.id });
+  await SavedFilter.deleteMany({ projectId: req.params.id });
 
   await Project.findByIdAndDelete(req.params.id);
+  closeChannel(req.params.id);
 
   res.json({
     success: true,
@@ -161,7 +278,7 @@ export const deleteProject = asyncHandler(async (req, res) => {
 
 // @desc    Invite member to project
 // @route   POST /api/projects/:id/invite
-// @access  Private (Project Owner Only)
+// @access  Private (Project Owner or Manager)
 export const inviteMember = asyncHandler(async (req, res) => {
   const { email, role } = req.body;
   const project = await Project.findById(req.params.id);
@@ -171,19 +288,29 @@ export const inviteMember = asyncHandler(async (req, res) => {
     throw new Error("Project not found");
   }
 
-  // Check if user is project owner
-  if (project.owner.toString() !== req.user._id.toString()) {
+  // Check if user is project owner or manager
+  if (!project.canManage(req.user._id)) {
     res.status(403);
-    throw new Error("Access denied - Only project owner can invite members");
+    throw new Error(
+      "Access denied - Only project owner or manager can invite members"
+    );
+  }
+
+  if (role && !MEMBER_ROLES.includes(role)) {
+    res.status(400);
+    throw new Error(`Invalid role. Allowed roles: ${MEMBER_ROLES.join(", ")}`);
+  }
+
+  // Only the owner can make managers, as with role changes
+  if (role === "manager" && project.getMemberRole(req.user._id) !== "owner") {
+    res.status(403);
+    throw new Error("Access denied - Only project owner can invite managers");
   }
 
   // Check if user already exists and is already a member
   const existingUser = await User.findOne({ email });
   if (existingUser) {
-    const isMember = project.member.some(
-      (memberId) => memberId.toString() === existingUser._id.toString()
-    );
-    if (isMember) {
+    if (project.isMember(existingUser._id)) {
       res.status(400);
       throw new Error("User is already a member of this project");
     }
@@ -224,6 +351,16 @@ This invitation will expire in 7 days.`;
       html: message,
     });
 
+    if (existingUser) {
+      await notify({
+        recipients: [existingUser._id],
+        actor: req.user._id,
+        type: "project_invited",
+        project,
+        message: `You were invited to join the project "${project.name}"`,
+      });
+    }
+
     res.json({
       success: true,
       message: "Invitation sent successfully",
@@ -258,18 +395,21 @@ export const acceptInvitation = asyncHandler(async (req, res) => {
 
   const invite = project.pendingInvites.find((inv) => inv.token === token);
 
+  // The invite is matched by email, so the address must be proven first
+  if (!req.user.emailVerified) {
+    res.status(403);
+    throw new Error("Verify your email address before accepting invitations");
+  }
+
   if (invite.email !== req.user.email) {
     res.status(403);
     throw new Error("This invitation is not for your email address");
   }
 
   // Check if user is already a member
-  const isMember = project.member.some(
-    (memberId) => memberId.toString() === req.user._id.toString()
-  );
-
-  if (!isMember) {
-    project.member.push(req.user._id);
+  const isNewMember = !project.isMember(req.user._id);
+  if (isNewMember) {
+    project.member.push({ user: req.user._id, role: invite.role });
   }
 
   // Remove the used invitation
@@ -279,8 +419,34 @@ export const acceptInvitation = asyncHandler(async (req, res) => {
 
   await project.save();
 
+  if (isNewMember) {
+    await notify({
+      recipients: project.member
+        .filter((member) => ["owner", "manager"].includes(member.role))
+        .map((member) => member.user),
+      actor: req.user._id,
+      type: "member_joined",
+      project,
+      message: `${req.user.name} joined the project "${project.name}"`,
+    });
+
+    await publishEvent({
+      event: "member.added",
+      project,
+      actor: req.user._id,
+      data: {
+        member: {
+          _id: req.user._id.toString(),
+          name: req.user.name,
+          email: req.user.email,
+        },
+        role: invite.role,
+      },
+    });
+  }
+
   const populatedProject = await Project.findById(project._id)
-    .populate("member", "name email avatar role")
+    .populate("member.user", "name email avatar role")
     .populate("owner", "name email avatar");
 
   res.json({
@@ -292,7 +458,7 @@ export const acceptInvitation = asyncHandler(async (req, res) => {
 
 // @desc    Remove member from project
 // @route   DELETE /api/projects/:id/members/:memberId
-// @access  Private (Project Owner Only)
+// @access  Private (Project Owner or Manager)
 export const removeMember = asyncHandler(async (req, res) => {
   const { id, memberId } = req.params;
   const project = await Project.findById(id);
@@ -302,21 +468,23 @@ export const removeMember = asyncHandler(async (req, res) => {
     throw new Error("Project not found");
   }
 
-  // Check if user is project owner
-  if (project.owner.toString() !== req.user._id.toString()) {
+  // Check if user is project owner or manager
+  if (!project.canManage(req.user._id)) {
     res.status(403);
-    throw new Error("Access denied - Only project owner can remove members");
+    throw new Error(
+      "Access denied - Only project owner or manager can remove members"
+    );
   }
 
-  // Prevent owner from removing themselves
-  if (memberId === req.user._id.toString()) {
+  // The project owner can never be removed
+  if (memberId === project.owner.toString()) {
     res.status(400);
-    throw new Error("Project owner cannot remove themselves");
+    throw new Error("Project owner cannot be removed");
   }
 
   // Check if member exists in project
   const memberIndex = project.member.findIndex(
-    (member) => member.toString() === memberId
+    (member) => member.user.toString() === memberId
   );
 
   if (memberIndex === -1) {
@@ -324,15 +492,109 @@ export const removeMember = asyncHandler(async (req, res) => {
     throw new Error("Member not found in this project");
   }
 
+  // Only the owner can remove a manager
+  if (
+    project.member[memberIndex].role === "manager" &&
+    project.getMemberRole(req.user._id) !== "owner"
+  ) {
+    res.status(403);
+    throw new Error("Access denied - Only project owner can remove managers");
+  }
+
   project.member.splice(memberIndex, 1);
   await project.save();
 
+  await notify({
+    recipients: [memberId],
+    actor: req.user._id,
+    type: "member_removed",
+    project,
+    message: `You were removed from the project "${project.name}"`,
+  });
+
+  await publishEvent({
+    event: "member.removed",
+    project,
+    actor: req.user._id,
+    data: { member: { _id: memberId } },
+  });
+  disconnectUser(project._id, memberId);
+
   res.json({
     success: true,
     message: "Member removed successfully",
   });
 });
 
+// @desc    Change a member's project role
+// @route   PUT /api/projects/:id/members/:memberId/role
+// @access  Private (Project Owner Only)
+export const updateMemberRole = asyncHandler(async (req, res) => {
+  const { id, memberId } = req.params;
+  const { role } = req.body;
+  const project = await Project.findById(id);
+
+  if (!project) {
+    res.status(404);
+    throw new Error("Project not found");
+  }
+
+  // Check if user is project owner
+  if (project.owner.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error(
+      "Access denied - Only project owner can change member roles"
+    );
+  }
+
+  if (!MEMBER_ROLES.includes(role)) {
+    res.status(400);
+    throw new Error(`Invalid role. Allowed roles: ${MEMBER_ROLES.join(", ")}`);
+  }
+
+  if (memberId === project.owner.toString()) {
+    res.status(400);
+    throw new Error("Project owner role cannot be changed");
+  }
+
+  const member = project.member.find(
+    (member) => member.user.toString() === memberId
+  );
+
+  if (!member) {
+    res.status(404);
+    throw new Error("Member not found in this project");
+  }
+
+  member.role = role;
+  await project.save();
+
+  await notify({
+    recipients: [memberId],
+    actor: req.user._id,
+    type: "role_changed",
+    project,
+    message: `Your role in the project "${project.name}" is now ${role}`,
+  });
+
+  await publishEvent({
+    event: "member.updated",
+    project,
+    actor: req.user._id,
+    data: { member: { _id: memberId }, role },
+  });
+
+  const populatedProject = await Project.findById(project._id)
+    .populate("member.user", "name email avatar role")
+    .populate("owner", "name email avatar");
+
+  res.json({
+    success: true,
+    message: "Member role updated successfully",
+    data: populatedProject,
+  });
+});
+
 // @desc    Get project statistics
 // @route   GET /api/projects/:id/stats
 // @access  Private
@@ -345,23 +607,32 @@ export const getProjectStats = asyncHandler(async (req, res) => {
   }
 
   // Check if user is a member
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
-
-  if (!isMember) {
+  if (!project.isMember(req.user._id)) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
 
   const issues = await Issue.find({ projectId: req.params.id });
+  const workflow = getWorkflow(project);
+
+  const countByCategory = (category) =>
+    issues.filter(
+      (issue) => getStatusCategory(workflow, issue.status) === category
+    ).length;
+
+  const statusCounts = {};
+  workflow.statuses.forEach((status) => {
+    statusCounts[status.key] = issues.filter(
+      (issue) => issue.status === status.key
+    ).length;
+  });
 
   const stats = {
     totalIssues: issues.length,
-    todoIssues: issues.filter((issue) => issue.status === "todo").length,
-    inProgressIssues: issues.filter((issue) => issue.status === "inprogress")
-      .length,
-    doneIssues: issues.filter((issue) => issue.status === "done").length,
+    todoIssues: countByCategory("todo"),
+    inProgressIssues: countByCategory("inprogress"),
+    doneIssues: countByCategory("done"),
+    statusCounts,
     highPriorityIssues: issues.filter(
       (issue) => issue.priority === "high" || issue.priority === "urgent"
     ).length,
@@ -373,3 +644,128 @@ export const getProjectStats = asyncHandler(async (req, res) => {
     data: stats,
   });
 });
+
+// @desc    Get project workflow
+// @route   GET /api/projects/:id/workflow
+// @access  Private (Project Members)
+export const getProjectWorkflow = asyncHandler(async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404);
+    throw new Error("Project not found");
+  }
+
+  res.json({
+    success: true,
+    data: getWorkflow(project),
+  });
+});
+
+// @desc    Update project workflow and migrate existing issues
+// @route   PUT /api/projects/:id/workflow
+// @access  Private (Project Owner or Manager)
+export const updateProjectWorkflow = asyncHandler(async (req, res) => {
+  const {
+    statuses,
+    transitions,
+    blockDoneWhileBlocked,
+    statusMapping = {},
+  } = req.body;
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404);
+    throw new Error("Project not found");
+  }
+
+  const { workflow, error } = normalizeWorkflow({
+    statuses,
+    transitions,
+    blockDoneWhileBlocked,
+  });
+
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  // Every status still used by an issue must exist in the new workflow or be
+  // mapped onto one of its statuses
+  const usedStatuses = await Issue.distinct("status", {
+    projectId: project._id,
+  });
+  const migrations = [];
+  const unmapped = [];
+
+  for (const status of usedStatuses) {
+    if (isValidStatus(workflow, status)) continue;
+
+    const target = statusMapping[status];
+
+    if (!target) {
+      unmapped.push(status);
+    } else if (!isValidStatus(workflow, target)) {
+      res.status(400);
+      throw new Error(
+        `Status mapping for "${status}" points to unknown status "${target}"`
+      );
+    } else {
+      migrations.push({ from: status, to: target });
+    }
+  }
+
+  if (unmapped.length > 0) {
+    res.status(400);
+    throw new Error(
+      `Issues still use removed statuses: ${unmapped.join(
+        ", "
+      )}. Provide a statusMapping for each of them`
+    );
+  }
+
+  let migratedIssues = 0;
+
+  await mongoose.connection.transaction(async (session) => {
+    migratedIssues = 0;
+
+    for (const { from, to } of migrations) {
+      const affected = await Issue.find(
+        { projectId: project._id, status: from },
+        "_id",
+        { session }
+      );
+
+      await Issue.updateMany(
+        { _id: { $in: affected.map((issue) => issue._id) } },
+        { $set: { status: to } },
+        { session }
+      );
+
+      await IssueActivity.insertMany(
+        affected.map((issue) => ({
+          issueId: issue._id,
+          projectId: project._id,
+          actor: req.user._id,
+          action: "updated",
+          field: "status",
+          oldValue: from,
+          newValue: to,
+        })),
+        { session }
+      );
+
+      migratedIssues += affected.length;
+    }
+
+    project.workflow = workflow;
+    await project.save({ session });
+  });
+
+  res.json({
+    success: true,
+    message: "Workflow updated successfully",
+    migratedIssues,
+    data: getWorkflow(project),
+  });
+});
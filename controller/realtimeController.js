@@ -0,0 +1,16 @@
+import asyncHandler from "express-async-handler";
+import { subscribe } from "../utils/realtime.js";
+
+// @desc    Stream project events (server-sent events)
+// @route   GET /api/projects/:id/events?token=<jwt>&lastEventId=<id>
+// @access  Private (Project Members)
+export const streamProjectEvents = asyncHandler(async (req, res) => {
+  subscribe({
+    projectId: req.project._id,
+    userId: req.user._id,
+    sessionId: req.sessionId,
+    accessTokenId: req.accessToken?._id,
+    res,
+    lastEventId: req.headers["last-event-id"] || req.query.lastEventId,
+  });
+});
@@ -0,0 +1,325 @@
+import mongoose from "mongoose";
+import SavedFilter from "../models/SavedFilter.js";
+import Project from "../models/Project.js";
+import Issue from "../models/Issue.js";
+import asyncHandler from "express-async-handler";
+import { compileIssueQuery } from "../utils/issueQuery.js";
+import { buildSavedFilterQuery } from "../utils/savedFilters.js";
+
+const VISIBILITIES = ["private", "project", "members"];
+const SORT_FIELDS = ["created", "updated", "dueDate", "status", "title"];
+
+// Validate the shareable parts of a filter. Throws with a 400 status set on
+// the response when something is wrong.
+const validateFilterInput = async (res, userId, input) => {
+  const { query, sort, visibility, sharedWith, projectId } = input;
+
+  try {
+    await compileIssueQuery(query || "", { userId });
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Invalid query: ${error.message}`);
+  }
+
+  if (sort?.field && !SORT_FIELDS.includes(sort.field)) {
+    res.status(400);
+    throw new Error(`Invalid sort field. Allowed: ${SORT_FIELDS.join(", ")}`);
+  }
+
+  if (sort?.direction && !["asc", "desc"].includes(sort.direction)) {
+    res.status(400);
+    throw new Error("Sort direction must be asc or desc");
+  }
+
+  if (!VISIBILITIES.includes(visibility)) {
+    res.status(400);
+    throw new Error(`Invalid visibility. Allowed: ${VISIBILITIES.join(", ")}`);
+  }
+
+  let project = null;
+
+  if (projectId) {
+    project = mongoose.isValidObjectId(projectId)
+      ? await Project.findById(projectId)
+      : null;
+
+    if (!project) {
+      res.status(404);
+      throw new Error("Project not found");
+    }
+
+    if (!project.isMember(userId)) {
+      res.status(403);
+      throw new Error("Access denied - Not a project member");
+    }
+  }
+
+  if (visibility === "project" && !project) {
+    res.status(400);
+    throw new Error("Project visibility requires a projectId");
+  }
+
+  if (visibility === "members") {
+    if (!Array.isArray(sharedWith) || sharedWith.length === 0) {
+      res.status(400);
+      throw new Error("Members visibility requires a sharedWith list");
+    }
+
+    if (!sharedWith.every((memberId) => mongoose.isValidObjectId(memberId))) {
+      res.status(400);
+      throw new Error("Invalid user ID in sharedWith");
+    }
+
+    if (
+      project &&
+      !sharedWith.every((memberId) => project.isMember(memberId))
+    ) {
+      res.status(400);
+      throw new Error("Filters can only be shared with project members");
+    }
+  }
+};
+
+// @desc    Create saved filter
+// @route   POST /api/filters
+// @access  Private
+export const createSavedFilter = asyncHandler(async (req, res) => {
+  const {
+    name,
+    projectId,
+    query,
+    sort,
+    visibility = "private",
+    sharedWith,
+  } = req.body;
+
+  if (!name) {
+    res.status(400);
+    throw new Error("Filter name is required");
+  }
+
+  await validateFilterInput(res, req.user._id, {
+    query,
+    sort,
+    visibility,
+    sharedWith,
+    projectId,
+  });
+
+  const savedFilter = await SavedFilter.create({
+    name,
+    owner: req.user._id,
+    projectId: projectId || null,
+    query: query || "",
+    sort,
+    visibility,
+    sharedWith: visibility === "members" ? sharedWith : [],
+  });
+
+  res.status(201).json({
+    success: true,
+    data: savedFilter,
+  });
+});
+
+// @desc    Get saved filters visible to current user
+// @route   GET /api/filters
+// @access  Private
+export const getSavedFilters = asyncHandler(async (req, res) => {
+  const { projectId } = req.query;
+
+  const projects = await Project.find({ "member.user": req.user._id }, "_id");
+  const projectIds = projects.map((project) => project._id);
+
+  const filter = {
+    $or: [
+      { owner: req.user._id },
+      { visibility: "project", projectId: { $in: projectIds } },
+      {
+        visibility: "members",
+        sharedWith: req.user._id,
+        $or: [{ projectId: null }, { projectId: { $in: projectIds } }],
+      },
+    ],
+  };
+
+  if (projectId) {
+    if (!mongoose.isValidObjectId(projectId)) {
+      res.status(400);
+      throw new Error("Invalid project ID");
+    }
+    filter.projectId = projectId;
+  }
+
+  const savedFilters = await SavedFilter.find(filter)
+    .populate("owner", "name email avatar")
+    .populate("projectId", "name key")
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    count: savedFilters.length,
+    data: savedFilters,
+  });
+});
+
+// @desc    Get single saved filter
+// @route   GET /api/filters/:id
+// @access  Private (Filter owner or users it is shared with)
+export const getSavedFilter = asyncHandler(async (req, res) => {
+  const savedFilter = await SavedFilter.findById(req.savedFilter._id)
+    .populate("owner", "name email avatar")
+    .populate("projectId", "name key")
+    .populate("sharedWith", "name email avatar");
+
+  res.json({
+    success: true,
+    data: savedFilter,
+  });
+});
+
+// @desc    Update saved filter
+// @route   PUT /api/filters/:id
+// @access  Private (Filter owner)
+export const updateSavedFilter = asyncHandler(async (req, res) => {
+  const savedFilter = req.savedFilter;
+
+  if (savedFilter.owner.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error("Access denied - Only the filter owner can update it");
+  }
+
+  const { name, query, sort, visibility, sharedWith } = req.body;
+
+  const updated = {
+    query: query !== undefined ? query : savedFilter.query,
+    sort: { ...savedFilter.sort?.toObject?.(), ...sort },
+    visibility: visibility || savedFilter.visibility,
+    sharedWith:
+      sharedWith !== undefined
+        ? sharedWith
+        : savedFilter.sharedWith.map((id) => id.toString()),
+    projectId: savedFilter.projectId,
+  };
+
+  await validateFilterInput(res, req.user._id, updated);
+
+  savedFilter.name = name || savedFilter.name;
+  savedFilter.query = updated.query || "";
+  savedFilter.sort = updated.sort;
+  savedFilter.visibility = updated.visibility;
+  savedFilter.sharedWith =
+    updated.visibility === "members" ? updated.sharedWith : [];
+
+  const updatedFilter = await savedFilter.save();
+
+  res.json({
+    success: true,
+    data: updatedFilter,
+  });
+});
+
+// @desc    Delete saved filter
+// @route   DELETE /api/filters/:id
+// @access  Private (Filter owner)
+export const deleteSavedFilter = asyncHandler(async (req, res) => {
+  if (req.savedFilter.owner.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error("Access denied - Only the filter owner can delete it");
+  }
+
+  await SavedFilter.findByIdAndDelete(req.savedFilter._id);
+
+  res.json({
+    success: true,
+    message: "Filter deleted successfully",
+  });
+});
+
+// @desc    Run saved filter
+// @route   GET /api/filters/:id/issues
+// @access  Private (Filter owner or users it is shared with)
+export const runSavedFilter = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10 } = req.query;
+
+  let query;
+  try {
+    query = await buildSavedFilterQuery(req.savedFilter, req.user._id);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Invalid query: ${error.message}`);
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const issues = await Issue.find(query.filter)
+    .populate("reporter", "name email avatar")
+    .populate("assignee", "name email avatar")
+    .populate("projectId", "name key")
+    .sort(query.sort)
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await Issue.countDocuments(query.filter);
+
+  res.json({
+    success: true,
+    count: issues.length,
+    total,
+    totalPages: Math.ceil(total / limitNum),
+    currentPage: pageNum,
+    data: issues,
+  });
+});
+
+// @desc    Subscribe to periodic emails of a filter's results
+// @route   POST /api/filters/:id/subscription
+// @access  Private (Filter owner or users it is shared with)
+export const subscribeToFilter = asyncHandler(async (req, res) => {
+  const { frequency = "daily" } = req.body;
+  const savedFilter = req.savedFilter;
+
+  if (!["daily", "weekly"].includes(frequency)) {
+    res.status(400);
+    throw new Error("Frequency must be daily or weekly");
+  }
+
+  const subscriber = savedFilter.subscribers.find(
+    (subscriber) => subscriber.user.toString() === req.user._id.toString()
+  );
+
+  if (subscriber) {
+    subscriber.frequency = frequency;
+  } else {
+    savedFilter.subscribers.push({ user: req.user._id, frequency });
+  }
+
+  await savedFilter.save();
+
+  res.json({
+    success: true,
+    message: `Subscribed to ${frequency} emails for this filter`,
+  });
+});
+
+// @desc    Unsubscribe from a filter's emails
+// @route   DELETE /api/filters/:id/subscription
+// @access  Private
+export const unsubscribeFromFilter = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404);
+    throw new Error("Filter not found");
+  }
+
+  await SavedFilter.updateOne(
+    { _id: req.params.id },
+    { $pull: { subscribers: { user: req.user._id } } }
+  );
+
+  res.json({
+    success: true,
+    message: "Unsubscribed from this filter",
+  });
+});
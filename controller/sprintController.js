@@ -0,0 +1,355 @@
+import mongoose from "mongoose";
+import Sprint from "../models/Sprint.js";
+import Issue from "../models/Issue.js";
+import IssueActivity from "../models/IssueActivity.js";
+import asyncHandler from "express-async-handler";
+import { getWorkflow, getStatusesInCategory } from "../utils/workflow.js";
+
+// Move issues into a sprint (or the backlog when sprintId is null) and record
+// the change in each issue's history
+const moveIssuesToSprint = async (issues, sprintId, actor, projectId) => {
+  if (issues.length === 0) return;
+
+  await Issue.updateMany(
+    { _id: { $in: issues.map((issue) => issue._id) } },
+    { $set: { sprint: sprintId } }
+  );
+
+  try {
+    await IssueActivity.insertMany(
+      issues.map((issue) => ({
+        issueId: issue._id,
+        projectId,
+        actor,
+        action: "updated",
+        field: "sprint",
+        oldValue: issue.sprint ? issue.sprint.toString() : null,
+        newValue: sprintId ? sprintId.toString() : null,
+      }))
+    );
+  } catch (error) {
+    console.error("Failed to record issue activity:", error);
+  }
+};
+
+// Issue counts of a sprint grouped by workflow category
+const getSprintProgress = async (sprint, project) => {
+  const doneStatuses = getStatusesInCategory(getWorkflow(project), "done");
+
+  const total = await Issue.countDocuments({ sprint: sprint._id });
+  const done = await Issue.countDocuments({
+    sprint: sprint._id,
+    status: { $in: doneStatuses },
+  });
+
+  return { total, done, remaining: total - done };
+};
+
+// @desc    Create sprint
+// @route   POST /api/sprints/projects/:projectId/sprints
+// @access  Private (Project Owner or Manager)
+export const createSprint = asyncHandler(async (req, res) => {
+  const { name, goal, startDate, endDate } = req.body;
+
+  if (!name) {
+    res.status(400);
+    throw new Error("Sprint name is required");
+  }
+
+  if (startDate && endDate && new Date(endDate) <= new Date(startDate)) {
+    res.status(400);
+    throw new Error("Sprint end date must be after its start date");
+  }
+
+  const sprint = await Sprint.create({
+    name,
+    goal,
+    startDate: startDate || null,
+    endDate: endDate || null,
+    projectId: req.project._id,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: sprint,
+  });
+});
+
+// @desc    Get all sprints for a project
+// @route   GET /api/sprints/projects/:projectId/sprints
+// @access  Private (Project Members)
+export const getProjectSprints = asyncHandler(async (req, res) => {
+  const { state } = req.query;
+
+  const filter = { projectId: req.project._id };
+  if (state) filter.state = state;
+
+  const sprints = await Sprint.find(filter).sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    count: sprints.length,
+    data: sprints,
+  });
+});
+
+// @desc    Get single sprint with its issues
+// @route   GET /api/sprints/:id
+// @access  Private (Project Members)
+export const getSprint = asyncHandler(async (req, res) => {
+  const issues = await Issue.find({ sprint: req.sprint._id })
+    .populate("reporter", "name email avatar")
+    .populate("assignee", "name email avatar")
+    .sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: {
+      ...req.sprint.toObject(),
+      issues,
+      progress: await getSprintProgress(req.sprint, req.project),
+    },
+  });
+});
+
+// @desc    Update sprint
+// @route   PUT /api/sprints/:id
+// @access  Private (Project Owner or Manager)
+export const updateSprint = asyncHandler(async (req, res) => {
+  const sprint = req.sprint;
+  const { name, goal, startDate, endDate } = req.body;
+
+  if (sprint.state === "closed") {
+    res.status(400);
+    throw new Error("Closed sprints cannot be edited");
+  }
+
+  sprint.name = name || sprint.name;
+  sprint.goal = goal !== undefined ? goal : sprint.goal;
+  sprint.startDate = startDate !== undefined ? startDate : sprint.startDate;
+  sprint.endDate = endDate !== undefined ? endDate : sprint.endDate;
+
+  if (
+    sprint.startDate &&
+    sprint.endDate &&
+    new Date(sprint.endDate) <= new Date(sprint.startDate)
+  ) {
+    res.status(400);
+    throw new Error("Sprint end date must be after its start date");
+  }
+
+  const updatedSprint = await sprint.save();
+
+  res.json({
+    success: true,
+    data: updatedSprint,
+  });
+});
+
+// @desc    Delete a planned sprint (its issues go back to the backlog)
+// @route   DELETE /api/sprints/:id
+// @access  Private (Project Owner or Manager)
+export const deleteSprint = asyncHandler(async (req, res) => {
+  const sprint = req.sprint;
+
+  if (sprint.state !== "planned") {
+    res.status(400);
+    throw new Error("Only planned sprints can be deleted");
+  }
+
+  const issues = await Issue.find({ sprint: sprint._id });
+  await moveIssuesToSprint(issues, null, req.user._id, req.project._id);
+
+  await Sprint.findByIdAndDelete(sprint._id);
+
+  res.json({
+    success: true,
+    message: "Sprint deleted and its issues moved to the backlog",
+  });
+});
+
+// @desc    Add issues to sprint
+// @route   POST /api/sprints/:id/issues
+// @access  Private (Project Owner or Manager)
+export const addIssuesToSprint = asyncHandler(async (req, res) => {
+  const { issueIds } = req.body;
+  const sprint = req.sprint;
+
+  if (!Array.isArray(issueIds) || issueIds.length === 0) {
+    res.status(400);
+    throw new Error("Issue IDs array is required");
+  }
+
+  if (!issueIds.every((id) => mongoose.isValidObjectId(id))) {
+    res.status(400);
+    throw new Error("Invalid issue ID");
+  }
+
+  if (sprint.state === "closed") {
+    res.status(400);
+    throw new Error("Issues cannot be added to a closed sprint");
+  }
+
+  const issues = await Issue.find({
+    _id: { $in: issueIds },
+    projectId: sprint.projectId,
+  });
+
+  if (issues.length !== issueIds.length) {
+    res.status(400);
+    throw new Error("All issues must exist and belong to the sprint's project");
+  }
+
+  const toMove = issues.filter(
+    (issue) => issue.sprint?.toString() !== sprint._id.toString()
+  );
+  await moveIssuesToSprint(toMove, sprint._id, req.user._id, req.project._id);
+
+  res.json({
+    success: true,
+    message: `${toMove.length} issue(s) added to sprint`,
+    data: {
+      ...sprint.toObject(),
+      progress: await getSprintProgress(sprint, req.project),
+    },
+  });
+});
+
+// @desc    Remove issue from sprint (back to the backlog)
+// @route   DELETE /api/sprints/:id/issues/:issueId
+// @access  Private (Project Owner or Manager)
+export const removeIssueFromSprint = asyncHandler(async (req, res) => {
+  const sprint = req.sprint;
+
+  if (sprint.state === "closed") {
+    res.status(400);
+    throw new Error("Issues cannot be removed from a closed sprint");
+  }
+
+  const issue = await Issue.findOne({
+    _id: req.params.issueId,
+    sprint: sprint._id,
+  });
+
+  if (!issue) {
+    res.status(404);
+    throw new Error("Issue not found in this sprint");
+  }
+
+  await moveIssuesToSprint([issue], null, req.user._id, req.project._id);
+
+  res.json({
+    success: true,
+    message: "Issue moved to the backlog",
+  });
+});
+
+// @desc    Start sprint
+// @route   POST /api/sprints/:id/start
+// @access  Private (Project Owner or Manager)
+export const startSprint = asyncHandler(async (req, res) => {
+  const sprint = req.sprint;
+  const { startDate, endDate } = req.body;
+
+  if (sprint.state !== "planned") {
+    res.status(400);
+    throw new Error("Only planned sprints can be started");
+  }
+
+  const activeSprint = await Sprint.findOne({
+    projectId: sprint.projectId,
+    state: "active",
+  });
+
+  if (activeSprint) {
+    res.status(400);
+    throw new Error(
+      `Sprint "${activeSprint.name}" is already active in this project`
+    );
+  }
+
+  sprint.startDate = startDate || sprint.startDate || new Date();
+  sprint.endDate = endDate || sprint.endDate;
+
+  if (!sprint.endDate) {
+    res.status(400);
+    throw new Error("Sprint end date is required to start a sprint");
+  }
+
+  if (new Date(sprint.endDate) <= new Date(sprint.startDate)) {
+    res.status(400);
+    throw new Error("Sprint end date must be after its start date");
+  }
+
+  sprint.state = "active";
+  const updatedSprint = await sprint.save();
+
+  res.json({
+    success: true,
+    data: updatedSprint,
+  });
+});
+
+// @desc    Complete sprint and move unfinished issues
+// @route   POST /api/sprints/:id/complete
+// @access  Private (Project Owner or Manager)
+export const completeSprint = asyncHandler(async (req, res) => {
+  const sprint = req.sprint;
+  const { moveTo = "backlog" } = req.body;
+
+  if (sprint.state !== "active") {
+    res.status(400);
+    throw new Error("Only active sprints can be completed");
+  }
+
+  let targetSprint = null;
+
+  if (moveTo !== "backlog") {
+    if (!mongoose.isValidObjectId(moveTo)) {
+      res.status(400);
+      throw new Error('moveTo must be "backlog" or a sprint ID');
+    }
+
+    targetSprint = await Sprint.findOne({
+      _id: moveTo,
+      projectId: sprint.projectId,
+    });
+
+    if (!targetSprint || targetSprint.state !== "planned") {
+      res.status(400);
+      throw new Error("Unfinished issues can only move to a planned sprint");
+    }
+  }
+
+  const doneStatuses = getStatusesInCategory(getWorkflow(req.project), "done");
+
+  const unfinishedIssues = await Issue.find({
+    sprint: sprint._id,
+    status: { $nin: doneStatuses },
+  });
+
+  await moveIssuesToSprint(
+    unfinishedIssues,
+    targetSprint ? targetSprint._id : null,
+    req.user._id,
+    req.project._id
+  );
+
+  sprint.state = "closed";
+  sprint.completedAt = new Date();
+  const updatedSprint = await sprint.save();
+
+  res.json({
+    success: true,
+    message: `Sprint completed. ${
+      unfinishedIssues.length
+    } unfinished issue(s) moved to ${
+      targetSprint ? `sprint "${targetSprint.name}"` : "the backlog"
+    }`,
+    data: {
+      ...updatedSprint.toObject(),
+      progress: await getSprintProgress(updatedSprint, req.project),
+    },
+  });
+});
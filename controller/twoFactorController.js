@@ -0,0 +1,164 @@
+import User from "../models/User.js";
+import asyncHandler from "express-async-handler";
+import {
+  generateTotpSecret,
+  getOtpAuthUrl,
+  verifyTotp,
+} from "../utils/totp.js";
+import {
+  generateRecoveryCodes,
+  checkSecondFactor,
+  isTwoFactorRequired,
+} from "../utils/twoFactor.js";
+
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// @desc    Get two-factor authentication status
+// @route   GET /api/auth/2fa
+// @access  Private
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(
+    "+twoFactor.recoveryCodes"
+  );
+
+  res.json({
+    success: true,
+    data: {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt || null,
+      required: await isTwoFactorRequired(user),
+      recoveryCodesRemaining: user.twoFactor.enabled
+        ? user.twoFactor.recoveryCodes.length
+        : 0,
+    },
+  });
+});
+
+// @desc    Start enrolling an authenticator app
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id);
+
+  if (user.twoFactor.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  // Calling setup again replaces a secret that was never confirmed
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    data: {
+      secret,
+      otpauthUrl: getOtpAuthUrl(secret, user.email),
+    },
+  });
+});
+
+// @desc    Confirm enrollment with a code from the authenticator app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+export const confirmTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (user.twoFactor.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactor.pendingSecret) {
+    res.status(400);
+    throw new Error("Start the setup with POST /api/auth/2fa/setup first");
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+
+  if (step === null) {
+    res.status(400);
+    throw new Error("Invalid authentication code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.enabledAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  // The recovery codes are only ever shown here
+  res.json({
+    success: true,
+    message: "Two-factor authentication enabled",
+    data: { recoveryCodes: codes },
+  });
+});
+
+// @desc    Replace the recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  if (!(await checkSecondFactor(user, { code: req.body.code }))) {
+    res.status(400);
+    throw new Error("Invalid authentication code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    data: { recoveryCodes: codes },
+  });
+});
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+
+  const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+  if (!user.twoFactor.enabled) {
+    res.status(400);
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    res.status(403);
+    throw new Error("Two-factor authentication is required for your role");
+  }
+
+  if (
+    !password ||
+    !(await user.matchPassword(password)) ||
+    !(await checkSecondFactor(user, { code, recoveryCode }))
+  ) {
+    res.status(401);
+    throw new Error("Invalid password or authentication code");
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save({ validateBeforeSave: false });
+
+  res.json({
+    success: true,
+    message: "Two-factor authentication disabled",
+  });
+});
@@ -0,0 +1,205 @@
+import Webhook, { WEBHOOK_EVENTS } from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import asyncHandler from "express-async-handler";
+import {
+  generateWebhookSecret,
+  attemptDelivery,
+  assertPublicUrl,
+} from "../utils/webhooks.js";
+
+// Validate a webhook URL and event list. Throws with a 400 status set on the
+// response when something is wrong.
+const validateWebhookInput = async (res, { url, events }) => {
+  if (url !== undefined) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      res.status(400);
+      throw new Error("Webhook URL must be a valid http or https URL");
+    }
+
+    try {
+      await assertPublicUrl(url);
+    } catch (error) {
+      res.status(400);
+      throw error;
+    }
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      res.status(400);
+      throw new Error("Webhook must subscribe to at least one event");
+    }
+
+    const invalidEvent = events.find(
+      (event) => !WEBHOOK_EVENTS.includes(event)
+    );
+    if (invalidEvent) {
+      res.status(400);
+      throw new Error(
+        `Invalid event "${invalidEvent}". Allowed events: ${WEBHOOK_EVENTS.join(
+          ", "
+        )}`
+      );
+    }
+  }
+};
+
+// @desc    Register webhook
+// @route   POST /api/webhooks/projects/:projectId/webhooks
+// @access  Private (Project Owner Only)
+export const createWebhook = asyncHandler(async (req, res) => {
+  const { url, events } = req.body;
+
+  if (!url || !events) {
+    res.status(400);
+    throw new Error("Webhook URL and events are required");
+  }
+
+  await validateWebhookInput(res, { url, events });
+
+  const secret = generateWebhookSecret();
+  const webhook = await Webhook.create({
+    projectId: req.project._id,
+    url,
+    events: [...new Set(events)],
+    secret,
+    createdBy: req.user._id,
+  });
+
+  // The secret is only ever shown here
+  res.status(201).json({
+    success: true,
+    data: { ...webhook.toObject(), secret },
+  });
+});
+
+// @desc    Get project webhooks
+// @route   GET /api/webhooks/projects/:projectId/webhooks
+// @access  Private (Project Owner Only)
+export const getProjectWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await Webhook.find({ projectId: req.project._id }).sort({
+    createdAt: -1,
+  });
+
+  res.json({
+    success: true,
+    count: webhooks.length,
+    data: webhooks,
+  });
+});
+
+// @desc    Get webhook
+// @route   GET /api/webhooks/:id
+// @access  Private (Project Owner Only)
+export const getWebhook = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: req.webhook,
+  });
+});
+
+// @desc    Update webhook
+// @route   PUT /api/webhooks/:id
+// @access  Private (Project Owner Only)
+export const updateWebhook = asyncHandler(async (req, res) => {
+  const { url, events, active, rotateSecret } = req.body;
+  const webhook = req.webhook;
+
+  await validateWebhookInput(res, { url, events });
+
+  webhook.url = url || webhook.url;
+  webhook.events = events ? [...new Set(events)] : webhook.events;
+  webhook.active = active !== undefined ? !!active : webhook.active;
+
+  let secret;
+  if (rotateSecret) {
+    secret = generateWebhookSecret();
+    webhook.secret = secret;
+  }
+
+  const updatedWebhook = await webhook.save();
+
+  res.json({
+    success: true,
+    data: secret ? { ...updatedWebhook.toObject(), secret } : updatedWebhook,
+  });
+});
+
+// @desc    Delete webhook
+// @route   DELETE /api/webhooks/:id
+// @access  Private (Project Owner Only)
+export const deleteWebhook = asyncHandler(async (req, res) => {
+  await WebhookDelivery.deleteMany({ webhookId: req.webhook._id });
+  await Webhook.findByIdAndDelete(req.webhook._id);
+
+  res.json({
+    success: true,
+    message: "Webhook deleted successfully",
+  });
+});
+
+// @desc    Get webhook delivery log
+// @route   GET /api/webhooks/:id/deliveries?status=pending|succeeded|failed
+// @access  Private (Project Owner Only)
+export const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  const filter = { webhookId: req.webhook._id };
+  if (status) filter.status = status;
+
+  const pageNum = parseInt(page);
+  const limitNum = parseInt(limit);
+  const skip = (pageNum - 1) * limitNum;
+
+  const deliveries = await WebhookDelivery.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await WebhookDelivery.countDocuments(filter);
+
+  res.json({
+    success: true,
+    count: deliveries.length,
+    total,
+    totalPages: Math.ceil(total / limitNum),
+    currentPage: pageNum,
+    data: deliveries,
+  });
+});
+
+// @desc    Send a test event to the webhook
+// @route   POST /api/webhooks/:id/test
+// @access  Private (Project Owner Only)
+export const sendTestEvent = asyncHandler(async (req, res) => {
+  const delivery = await WebhookDelivery.create({
+    webhookId: req.webhook._id,
+    projectId: req.project._id,
+    event: "webhook.test",
+    payload: {
+      event: "webhook.test",
+      createdAt: new Date().toISOString(),
+      project: {
+        _id: req.project._id.toString(),
+        key: req.project.key,
+        name: req.project.name,
+      },
+      actor: req.user._id.toString(),
+      data: { message: "This is a test event" },
+    },
+  });
+
+  const result = await attemptDelivery(delivery._id);
+
+  res.json({
+    success: true,
+    data: result,
+  });
+});
@@ -3,7 +3,7 @@ import cors from "cors";
 import dotenv from "dotenv";
 import mongoose from "mongoose";
 import fileUpload from "express-fileupload";
-import job from "./utils/cron.js";
+import { startJobs } from "./utils/cron.js";
 
 // Routes import
 import authRoutes from "./routes/authRoutes.js";
@@ -11,6 +11,13 @@ import projectRoutes from "./routes/projectRoutes.js";
 import commentRoutes from "./routes/commentRoutes.js";
 import issueRoutes from "./routes/issueRoutes.js";
 import attachmentRoutes from "./routes/attachmentRoutes.js";
+import sprintRoutes from "./routes/sprintRoutes.js";
+import savedFilterRoutes from "./routes/savedFilterRoutes.js";
+import notificationRoutes from "./routes/notificationRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+
+import { tokenScope } from "./middleware/authMiddleware.js";
 
 // error middleware import
 import { notFound, errorHandler } from "./middleware/error.js";
@@ -18,14 +25,34 @@ import { notFound, errorHandler } from "./middleware/error.js";
 // Load the env variable
 dotenv.config();
 
+// Transactions need a replica set (or a sharded cluster), so a standalone
+// server would only fail later on the first issue created
+const assertTransactionSupport = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+
+  if (!hello.setName && hello.msg !== "isdbgrid") {
+    console.error(
+      "MongoDB must run as a replica set: this server uses transactions. Start mongod with --replSet and run rs.initiate() once (see the README)."
+    );
+    process.exit(1);
+  }
+};
+
 // Database connection
 mongoose
   .connect(process.env.MONGODB_URL)
+  .then(assertTransactionSupport)
   .then(() => console.log("Connected to MongoDB Atlas"))
   .catch((err) => console.error("MongoDB connection error: ", err));
 
 const app = express();
 
+// Behind a proxy (e.g. on Render) set TRUST_PROXY to the number of proxy hops
+// so req.ip is the client address used for login throttling
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 //   Middleware
 
 app.use(
@@ -33,7 +60,7 @@ app.use(
     origin: [process.env.FRONTEND_URL],
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-type", "Authorization"],
+    allowedHeaders: ["Content-type", "Authorization", "Last-Event-ID"],
   })
 );
 
@@ -49,10 +76,15 @@ app.use(express.json());
 
 // Mount routes
 app.use("/api/auth", authRoutes);
-app.use("/api/projects", projectRoutes);
-app.use("/api/issues", issueRoutes);
-app.use("/api/comments", commentRoutes);
-app.use("/api/attachments", attachmentRoutes);
+app.use("/api/projects", tokenScope("projects"), projectRoutes);
+app.use("/api/issues", tokenScope("issues"), issueRoutes);
+app.use("/api/comments", tokenScope("comments"), commentRoutes);
+app.use("/api/attachments", tokenScope("attachments"), attachmentRoutes);
+app.use("/api/sprints", tokenScope("sprints"), sprintRoutes);
+app.use("/api/filters", tokenScope("filters"), savedFilterRoutes);
+app.use("/api/notifications", tokenScope("notifications"), notificationRoutes);
+app.use("/api/webhooks", tokenScope("projects"), webhookRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Basic route
 app.get("/", (req, res) => {
@@ -67,5 +99,5 @@ const port = process.env.PORT;
 
 app.listen(port, () => {
   console.log(`Server is running on port ${port}`);
-  job.start();
+  startJobs();
 });
@@ -1,6 +1,119 @@
 import jwt from "jsonwebtoken";
 import asyncHandler from "express-async-handler";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import PersonalAccessToken from "../models/PersonalAccessToken.js";
+import { hashToken } from "../utils/sessions.js";
+import { isTwoFactorRequired } from "../utils/twoFactor.js";
+
+// Only record token use once a minute to avoid a write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Load the user of a personal access token ("pmt_...")
+const authenticateAccessToken = async (req, res, token) => {
+  const accessToken = await PersonalAccessToken.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!accessToken) {
+    res.status(401);
+    throw new Error("Not authorized, invalid or expired access token");
+  }
+
+  if (
+    !accessToken.lastUsedAt ||
+    Date.now() - accessToken.lastUsedAt > LAST_USED_INTERVAL_MS
+  ) {
+    await PersonalAccessToken.updateOne(
+      { _id: accessToken._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip } }
+    );
+  }
+
+  req.user = await User.findById(accessToken.user).select("-password");
+  req.accessToken = accessToken;
+
+  if (!req.user) {
+    res.status(401);
+    throw new Error("Not authorized, user not found");
+  }
+
+  // Routers are mounted with tokenScope(resource); routes outside them (like
+  // token management itself) cannot be used with an access token
+  if (!req.scopeResource) {
+    res.status(403);
+    throw new Error("Personal access tokens cannot be used for this endpoint");
+  }
+
+  const scope = `${req.scopeResource}:${
+    ["GET", "HEAD"].includes(req.method) ? "read" : "write"
+  }`;
+
+  if (!accessToken.hasScope(scope)) {
+    res.status(403);
+    throw new Error(`Access token is missing the ${scope} scope`);
+  }
+};
+
+// Load the user of a session access token (JWT). The token's session must
+// still be active, so logging out or changing the password takes effect at
+// once.
+const authenticateSessionToken = async (req, res, token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+    if (
+      !session ||
+      !session.isActive() ||
+      session.user.toString() !== decoded.id
+    ) {
+      throw new Error("Session is no longer active");
+    }
+
+    req.user = await User.findById(decoded.id).select("-password");
+    req.sessionId = session._id;
+  } catch (error) {
+    console.error(error);
+    res.status(401);
+    throw new Error("Not authorized, token failed");
+  }
+
+  if (!req.user) {
+    res.status(401);
+    throw new Error("Not authorized, user not found");
+  }
+};
+
+// Verify a session or personal access token and load its user. Deactivated
+// accounts are refused. Users whose role requires two-factor authentication
+// can only reach the /api/auth endpoints (where they enroll) until they have
+// set it up.
+const authenticate = async (req, res, token) => {
+  if (token.startsWith("pmt_")) {
+    await authenticateAccessToken(req, res, token);
+  } else {
+    await authenticateSessionToken(req, res, token);
+  }
+
+  if (req.user.deactivatedAt) {
+    res.status(403);
+    throw new Error("Account is deactivated");
+  }
+
+  if (
+    req.baseUrl !== "/api/auth" &&
+    !req.user.twoFactor?.enabled &&
+    (await isTwoFactorRequired(req.user))
+  ) {
+    res.status(403);
+    throw new Error(
+      "Two-factor authentication is required for your role. Set it up with POST /api/auth/2fa/setup"
+    );
+  }
+};
 
 export const protect = asyncHandler(async (req, res, next) => {
   let token;
@@ -9,16 +122,9 @@ export const protect = asyncHandler(async (req, res, next) => {
     req.headers.authorization &&
     req.headers.authorization.startsWith("Bearer")
   ) {
-    try {
-      token = req.headers.authorization.split(" ")[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select("-password");
-      next();
-    } catch (error) {
-      console.error(error);
-      res.status(401);
-      throw new Error("Not authorized, token failed");
-    }
+    token = req.headers.authorization.split(" ")[1];
+    await authenticate(req, res, token);
+    next();
   }
 
   if (!token) {
@@ -26,3 +132,36 @@ export const protect = asyncHandler(async (req, res, next) => {
     throw new Error("Not authorized, no token");
   }
 });
+
+// Same as protect, but also accepts the token as ?token= because browsers
+// cannot set headers on EventSource connections
+export const protectStream = asyncHandler(async (req, res, next) => {
+  const token = req.headers.authorization?.startsWith("Bearer")
+    ? req.headers.authorization.split(" ")[1]
+    : req.query.token;
+
+  if (!token) {
+    res.status(401);
+    throw new Error("Not authorized, no token");
+  }
+
+  await authenticate(req, res, token);
+  next();
+});
+
+// Name the resource a router serves so personal access tokens need
+// "<resource>:read" for GET requests and "<resource>:write" otherwise
+export const tokenScope = (resource) => (req, res, next) => {
+  req.scopeResource = resource;
+  next();
+};
+
+// Require an extra scope from personal access tokens on a route. Requests
+// made with a session token are not affected.
+export const requireScope = (scope) => (req, res, next) => {
+  if (req.accessToken && !req.accessToken.hasScope(scope)) {
+    res.status(403);
+    throw new Error(`Access token is missing the ${scope} scope`);
+  }
+  next();
+};
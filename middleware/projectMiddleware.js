@@ -2,7 +2,11 @@ import Project from "../models/Project.js";
 import Issue from "../models/Issue.js";
 import Comment from "../models/Comment.js";
 import Attachment from "../models/Attachment.js";
+import Sprint from "../models/Sprint.js";
+import SavedFilter from "../models/SavedFilter.js";
+import Webhook from "../models/Webhook.js";
 import asyncHandler from "express-async-handler";
+import { canViewFilter } from "../utils/savedFilters.js";
 
 // @desc    Check if user is project owner
 export const checkProjectOwner = asyncHandler(async (req, res, next) => {
@@ -43,20 +47,53 @@ export const checkProjectMember = asyncHandler(async (req, res, next) => {
     throw new Error("Project not found");
   }
 
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
+  const role = project.getMemberRole(req.user._id);
 
-  if (!isMember) {
+  if (!role) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
 
+  // Viewers have read-only access
+  if (req.method !== "GET" && role === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers have read-only access");
+  }
+
+  req.project = project;
+  req.memberRole = role;
+  next();
+});
+
+// @desc    Check if user is project owner or manager
+export const checkProjectManager = asyncHandler(async (req, res, next) => {
+  const { projectId, id } = req.params;
+
+  // Handle different route patterns
+  const actualProjectId = projectId || id;
+
+  const project = await Project.findById(actualProjectId);
+
+  if (!project) {
+    res.status(404);
+    throw new Error("Project not found");
+  }
+
+  const role = project.getMemberRole(req.user._id);
+
+  if (!project.canManage(req.user._id)) {
+    res.status(403);
+    throw new Error(
+      "Access denied - Only project owner or manager can perform this action"
+    );
+  }
+
   req.project = project;
+  req.memberRole = role;
   next();
 });
 
-// @desc    Check if user can modify issue (owner, reporter, or assignee)
+// @desc    Check if user can modify issue (owner, manager, reporter, or assignee)
 export const checkIssuePermission = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
@@ -70,16 +107,13 @@ export const checkIssuePermission = asyncHandler(async (req, res, next) => {
   const project = await Project.findById(issue.projectId._id);
 
   // Check if user is a member of the project first
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
+  const role = project.getMemberRole(req.user._id);
 
-  if (!isMember) {
+  if (!role) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
 
-  const isProjectOwner = project.owner.toString() === req.user._id.toString();
   const isReporter = issue.reporter.toString() === req.user._id.toString();
   const isAssignee = issue.assignee?.toString() === req.user._id.toString();
 
@@ -87,23 +121,30 @@ export const checkIssuePermission = asyncHandler(async (req, res, next) => {
   if (req.method === "GET") {
     req.project = project;
     req.issue = issue;
+    req.memberRole = role;
     return next();
   }
 
+  if (role === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers have read-only access");
+  }
+
   // For write operations, check specific permissions
-  if (!isProjectOwner && !isReporter && !isAssignee) {
+  if (!project.canManage(req.user._id) && !isReporter && !isAssignee) {
     res.status(403);
     throw new Error(
-      "Access denied - Only project owner, reporter, or assignee can modify this issue"
+      "Access denied - Only project owner, manager, reporter, or assignee can modify this issue"
     );
   }
 
   req.project = project;
   req.issue = issue;
+  req.memberRole = role;
   next();
 });
 
-// @desc    Check if user can modify comment (owner or comment author)
+// @desc    Check if user can modify comment (owner, manager, or comment author)
 export const checkCommentPermission = asyncHandler(async (req, res, next) => {
   const { id } = req.params;
 
@@ -123,39 +164,43 @@ export const checkCommentPermission = asyncHandler(async (req, res, next) => {
   const project = await Project.findById(comment.issueId.projectId._id);
 
   // Check if user is a member of the project first
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
+  const role = project.getMemberRole(req.user._id);
 
-  if (!isMember) {
+  if (!role) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
 
-  const isProjectOwner = project.owner.toString() === req.user._id.toString();
   const isCommentAuthor = comment.author.toString() === req.user._id.toString();
 
   // For read operations, any project member can access
   if (req.method === "GET") {
     req.project = project;
     req.comment = comment;
+    req.memberRole = role;
     return next();
   }
 
+  if (role === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers have read-only access");
+  }
+
   // For write operations, check specific permissions
-  if (!isProjectOwner && !isCommentAuthor) {
+  if (!project.canManage(req.user._id) && !isCommentAuthor) {
     res.status(403);
     throw new Error(
-      "Access denied - Only project owner or comment author can modify this comment"
+      "Access denied - Only project owner, manager, or comment author can modify this comment"
     );
   }
 
   req.project = project;
   req.comment = comment;
+  req.memberRole = role;
   next();
 });
 
-// @desc    Check if user can delete issue (owner or reporter only)
+// @desc    Check if user can delete issue (owner, manager, or reporter)
 export const checkIssueDeletePermission = asyncHandler(
   async (req, res, next) => {
     const { id } = req.params;
@@ -168,14 +213,17 @@ export const checkIssueDeletePermission = asyncHandler(
     }
 
     const project = await Project.findById(issue.projectId._id);
-    const isProjectOwner = project.owner.toString() === req.user._id.toString();
+    const role = project.getMemberRole(req.user._id);
     const isReporter = issue.reporter.toString() === req.user._id.toString();
 
-    // Only project owner or reporter can delete the issue
-    if (!isProjectOwner && !isReporter) {
+    // Only project owner, manager, or reporter can delete the issue
+    if (
+      !project.canManage(req.user._id) &&
+      !(isReporter && role && role !== "viewer")
+    ) {
       res.status(403);
       throw new Error(
-        "Access denied - Only project owner or issue reporter can delete this issue"
+        "Access denied - Only project owner, manager, or issue reporter can delete this issue"
       );
     }
 
@@ -185,6 +233,59 @@ export const checkIssueDeletePermission = asyncHandler(
   }
 );
 
+// @desc    Check if user can access sprint (members read, owner or manager write)
+export const checkSprintPermission = asyncHandler(async (req, res, next) => {
+  const sprint = await Sprint.findById(req.params.id);
+
+  if (!sprint) {
+    res.status(404);
+    throw new Error("Sprint not found");
+  }
+
+  const project = await Project.findById(sprint.projectId);
+  const role = project.getMemberRole(req.user._id);
+
+  if (!role) {
+    res.status(403);
+    throw new Error("Access denied - Not a project member");
+  }
+
+  if (req.method !== "GET" && !project.canManage(req.user._id)) {
+    res.status(403);
+    throw new Error(
+      "Access denied - Only project owner or manager can manage sprints"
+    );
+  }
+
+  req.project = project;
+  req.sprint = sprint;
+  req.memberRole = role;
+  next();
+});
+
+// @desc    Check if user can see a saved filter (owner or shared with them)
+export const checkFilterPermission = asyncHandler(async (req, res, next) => {
+  const savedFilter = await SavedFilter.findById(req.params.id);
+
+  if (!savedFilter) {
+    res.status(404);
+    throw new Error("Filter not found");
+  }
+
+  // Owners who have left the filter's project can still delete it
+  const isOwnerDeleting =
+    req.method === "DELETE" &&
+    savedFilter.owner.toString() === req.user._id.toString();
+
+  if (!isOwnerDeleting && !(await canViewFilter(savedFilter, req.user._id))) {
+    res.status(403);
+    throw new Error("Access denied - This filter is not shared with you");
+  }
+
+  req.savedFilter = savedFilter;
+  next();
+});
+
 // @desc    Get project from issue context
 export const getProjectFromIssue = asyncHandler(async (req, res, next) => {
   const { issueId } = req.params;
@@ -199,17 +300,45 @@ export const getProjectFromIssue = asyncHandler(async (req, res, next) => {
   const project = await Project.findById(issue.projectId._id);
 
   // Check if user is a member of the project
-  const isMember = project.member.some(
-    (member) => member.toString() === req.user._id.toString()
-  );
+  const role = project.getMemberRole(req.user._id);
+
+  if (!role) {
+    res.status(403);
+    throw new Error("Access denied - Not a project member");
+  }
+
+  // Viewers have read-only access
+  if (req.method !== "GET" && role === "viewer") {
+    res.status(403);
+    throw new Error("Access denied - Viewers have read-only access");
+  }
+
+  req.project = project;
+  req.issue = issue;
+  req.memberRole = role;
+  next();
+});
+
+// @desc    Check if user is a member of the issue's project, including viewers
+export const checkIssueMember = asyncHandler(async (req, res, next) => {
+  const issue = await Issue.findById(req.params.id);
+
+  if (!issue) {
+    res.status(404);
+    throw new Error("Issue not found");
+  }
 
-  if (!isMember) {
+  const project = await Project.findById(issue.projectId);
+  const role = project.getMemberRole(req.user._id);
+
+  if (!role) {
     res.status(403);
     throw new Error("Access denied - Not a project member");
   }
 
   req.project = project;
   req.issue = issue;
+  req.memberRole = role;
   next();
 });
 
@@ -253,7 +382,7 @@ export const validateProjectOwnership = asyncHandler(async (req, res, next) => {
   next();
 });
 
-// @desc    Check attachment permissions (owner or project admin)
+// @desc    Check attachment permissions (owner or project manager)
 export const checkAttachmentPermission = asyncHandler(
   async (req, res, next) => {
     const attachment = await Attachment.findById(req.params.id);
@@ -287,13 +416,9 @@ export const checkAttachmentPermission = asyncHandler(
         const project = issue.projectId;
         const isProjectOwner =
           project.owner.toString() === req.user._id.toString();
-        const isProjectAdmin = project.member.some(
-          (member) =>
-            member.toString() === req.user._id.toString() &&
-            req.user.role === "admin"
-        );
+        const isProjectManager = project.canManage(req.user._id);
 
-        if (isProjectOwner || isProjectAdmin) {
+        if (isProjectOwner || isProjectManager) {
           req.attachment = attachment;
           return next();
         }
@@ -310,13 +435,9 @@ export const checkAttachmentPermission = asyncHandler(
         const project = comment.issueId.projectId;
         const isProjectOwner =
           project.owner.toString() === req.user._id.toString();
-        const isProjectAdmin = project.member.some(
-          (member) =>
-            member.toString() === req.user._id.toString() &&
-            req.user.role === "admin"
-        );
+        const isProjectManager = project.canManage(req.user._id);
 
-        if (isProjectOwner || isProjectAdmin) {
+        if (isProjectOwner || isProjectManager) {
           req.attachment = attachment;
           return next();
         }
@@ -329,3 +450,61 @@ export const checkAttachmentPermission = asyncHandler(
     throw new Error("Not authorized to access this attachment");
   }
 );
+
+// @desc    Check if user can read the attachment (uploader, admin or a member
+//          of the project of its issue)
+export const checkAttachmentAccess = asyncHandler(async (req, res, next) => {
+  const attachment = await Attachment.findById(req.params.id);
+
+  if (!attachment) {
+    res.status(404);
+    throw new Error("Attachment not found");
+  }
+
+  req.attachment = attachment;
+
+  if (
+    attachment.uploadedBy.toString() === req.user._id.toString() ||
+    req.user.role === "admin"
+  ) {
+    return next();
+  }
+
+  let issueId = attachment.issueId;
+  if (!issueId && attachment.commentId) {
+    const comment = await Comment.findById(attachment.commentId);
+    issueId = comment?.issueId;
+  }
+
+  const issue = issueId
+    ? await Issue.findById(issueId).populate("projectId")
+    : null;
+
+  if (issue?.projectId?.isMember(req.user._id)) {
+    return next();
+  }
+
+  res.status(403);
+  throw new Error("Not authorized to access this attachment");
+});
+
+// @desc    Check if user owns the webhook's project
+export const checkWebhookPermission = asyncHandler(async (req, res, next) => {
+  const webhook = await Webhook.findById(req.params.id);
+
+  if (!webhook) {
+    res.status(404);
+    throw new Error("Webhook not found");
+  }
+
+  const project = await Project.findById(webhook.projectId);
+
+  if (project.owner.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error("Access denied - Only project owner can manage webhooks");
+  }
+
+  req.project = project;
+  req.webhook = webhook;
+  next();
+});
@@ -11,6 +11,12 @@ const AttachmentSchema = new mongoose.Schema(
       enum: ["image", "video", "file", "pdf"],
       required: true,
     },
+    // Where the file is stored (see utils/storage) and its key there
+    storage: {
+      type: String,
+      enum: ["cloudinary", "local", "s3"],
+      default: "cloudinary",
+    },
     publicId: {
       type: String,
       required: true,
@@ -48,6 +54,7 @@ const AttachmentSchema = new mongoose.Schema(
 AttachmentSchema.index({ uploadedBy: 1 });
 AttachmentSchema.index({ issueId: 1 });
 AttachmentSchema.index({ commentId: 1 });
+AttachmentSchema.index({ storage: 1 });
 
 const Attachment = mongoose.model("Attachment", AttachmentSchema);
 export default Attachment;
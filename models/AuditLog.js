@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+export const AUDIT_ACTIONS = [
+  "user.role_changed",
+  "user.deactivated",
+  "user.reactivated",
+  "user.password_reset_forced",
+  "project.owner_changed",
+  "lockout.cleared",
+  "settings.two_factor_updated",
+];
+
+// Record of an action taken through the admin API. Entries are never
+// updated or removed by the app.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ["User", "Project", "AuthThrottle", "Setting"],
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Readable name of the target at the time (email, project key, ...)
+    targetLabel: String,
+    // Values before and after the change
+    changes: {
+      from: mongoose.Schema.Types.Mixed,
+      to: mongoose.Schema.Types.Mixed,
+    },
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+export default AuditLog;
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Failed or rate-limited auth attempts for one IP address or one account,
+// per action. Stored so lockouts survive restarts.
+const AuthThrottleSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ["login", "register", "forgot_password"],
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: ["ip", "account"],
+      required: true,
+    },
+    // The IP address or the lowercased email
+    identifier: {
+      type: String,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    windowStart: {
+      type: Date,
+      default: Date.now,
+    },
+    // Number of lockouts so far; each one lasts twice as long as the last
+    lockouts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lastAttemptAt: Date,
+    // Documents are removed once nothing about them matters any more
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+AuthThrottleSchema.index(
+  { action: 1, scope: 1, identifier: 1 },
+  { unique: true }
+);
+AuthThrottleSchema.index({ lockedUntil: 1 });
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthThrottle = mongoose.model("AuthThrottle", AuthThrottleSchema);
+export default AuthThrottle;
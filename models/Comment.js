@@ -22,6 +22,13 @@ const CommentSchema = new mongoose.Schema(
         ref: "Attachment",
       },
     ],
+    // Project members mentioned in the content
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -7,6 +7,12 @@ const IssueSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Previous keys, kept so old links and bookmarks still resolve
+    keyAliases: [
+      {
+        type: String,
+      },
+    ],
     title: {
       type: String,
       required: true,
@@ -15,9 +21,9 @@ const IssueSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Validated against the project's workflow
     status: {
       type: String,
-      enum: ["todo", "inprogress", "done"],
       default: "todo",
     },
     priority: {
@@ -25,6 +31,16 @@ const IssueSchema = new mongoose.Schema(
       enum: ["low", "medium", "high", "urgent"],
       default: "medium",
     },
+    type: {
+      type: String,
+      enum: ["epic", "story", "task", "subtask"],
+      default: "task",
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Issue",
+      default: null,
+    },
     reporter: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -44,6 +60,12 @@ const IssueSchema = new mongoose.Schema(
         type: String,
       },
     ],
+    // Issues without a sprint are in the project backlog
+    sprint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Sprint",
+      default: null,
+    },
     dueDate: Date,
     attachments: [
       {
@@ -57,9 +79,28 @@ const IssueSchema = new mongoose.Schema(
         ref: "Comment",
       },
     ],
+    // Users notified about every change to the issue
+    watchers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    // Project members mentioned in the description
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
   },
   { timestamps: true }
 );
 
+IssueSchema.index({ projectId: 1, status: 1 });
+IssueSchema.index({ projectId: 1, sprint: 1 });
+IssueSchema.index({ parent: 1 });
+IssueSchema.index({ keyAliases: 1 });
+
 const Issue = mongoose.model("Issue", IssueSchema);
 export default Issue;
@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+
+const IssueActivitySchema = new mongoose.Schema(
+  {
+    issueId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Issue",
+      required: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: [
+        "created",
+        "updated",
+        "comment_added",
+        "comment_updated",
+        "comment_deleted",
+        "attachment_added",
+        "attachment_removed",
+        "link_added",
+        "link_removed",
+      ],
+      required: true,
+    },
+    field: String,
+    oldValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Add indexes for better performance
+IssueActivitySchema.index({ issueId: 1, createdAt: -1 });
+IssueActivitySchema.index({ projectId: 1, createdAt: -1 });
+
+const IssueActivity = mongoose.model("IssueActivity", IssueActivitySchema);
+export default IssueActivity;
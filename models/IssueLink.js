@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// A directed link between two issues, e.g. source "blocks" target. Inverse
+// types such as "is blocked by" are stored by swapping source and target.
+const IssueLinkSchema = new mongoose.Schema(
+  {
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Issue",
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Issue",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["blocks", "duplicates", "relates", "clones"],
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Add indexes for better performance
+IssueLinkSchema.index({ source: 1, target: 1, type: 1 }, { unique: true });
+IssueLinkSchema.index({ target: 1, type: 1 });
+
+const IssueLink = mongoose.model("IssueLink", IssueLinkSchema);
+export default IssueLink;
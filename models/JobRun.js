@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// One document per unit of scheduled work (for example one user's digest for
+// one day). The unique index lets a job claim a unit exactly once, even when
+// the server restarts or two instances run the same job.
+const JobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+JobRunSchema.index({ job: 1, key: 1 }, { unique: true });
+// Old runs are only needed while their window can still repeat
+JobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Record a run of the given job and key. Returns false when it was already
+// claimed.
+JobRunSchema.statics.claim = async function (job, key) {
+  try {
+    await this.create({ job, key });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const JobRun = mongoose.model("JobRun", JobRunSchema);
+export default JobRun;
@@ -0,0 +1,69 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_TYPES = [
+  "issue_assigned",
+  "issue_updated",
+  "status_changed",
+  "comment_added",
+  "mentioned",
+  "project_invited",
+  "member_joined",
+  "member_removed",
+  "role_changed",
+];
+
+const NotificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Whoever caused the latest event folded into this notification
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    issueId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Issue",
+      default: null,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Number of events grouped into this notification while it was unread
+    count: {
+      type: Number,
+      default: 1,
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Add indexes for better performance
+NotificationSchema.index({ recipient: 1, read: 1, updatedAt: -1 });
+NotificationSchema.index({ recipient: 1, type: 1, issueId: 1, read: 1 });
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+export default Notification;
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// One single sign-on attempt. It is created when the browser is sent to the
+// identity provider and, once the callback succeeds, holds a one-time login
+// code the frontend exchanges for tokens.
+const OidcLoginSchema = new mongoose.Schema(
+  {
+    // Random value sent to the provider and checked on the callback
+    state: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // PKCE verifier and ID token nonce for this attempt
+    codeVerifier: {
+      type: String,
+      required: true,
+    },
+    nonce: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // SHA-256 of the login code handed to the frontend after the callback
+    loginCodeHash: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+OidcLoginSchema.index({ loginCodeHash: 1 }, { sparse: true });
+OidcLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcLogin = mongoose.model("OidcLogin", OidcLoginSchema);
+export default OidcLogin;
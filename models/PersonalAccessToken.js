@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+
+export const TOKEN_SCOPES = [
+  "projects:read",
+  "projects:write",
+  "projects:admin",
+  "issues:read",
+  "issues:write",
+  "comments:read",
+  "comments:write",
+  "attachments:read",
+  "attachments:write",
+  "sprints:read",
+  "sprints:write",
+  "filters:read",
+  "filters:write",
+  "notifications:read",
+  "notifications:write",
+];
+
+const PersonalAccessTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // SHA-256 of the token. The token itself is only shown once.
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // First characters of the token so users can tell their tokens apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    scopes: [
+      {
+        type: String,
+        enum: TOKEN_SCOPES,
+      },
+    ],
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: String,
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Add indexes for better performance
+PersonalAccessTokenSchema.index({ tokenHash: 1 }, { unique: true });
+PersonalAccessTokenSchema.index({ user: 1, revokedAt: 1 });
+
+// Write access to a resource includes read access, and projects:admin
+// includes everything on projects
+PersonalAccessTokenSchema.methods.hasScope = function (scope) {
+  const [resource, level] = scope.split(":");
+
+  return (
+    this.scopes.includes(scope) ||
+    this.scopes.includes(`${resource}:admin`) ||
+    (level === "read" && this.scopes.includes(`${resource}:write`))
+  );
+};
+
+const PersonalAccessToken = mongoose.model(
+  "PersonalAccessToken",
+  PersonalAccessTokenSchema
+);
+export default PersonalAccessToken;
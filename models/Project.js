@@ -1,4 +1,45 @@
 import mongoose from "mongoose";
+import { STATUS_CATEGORIES, getDefaultWorkflow } from "../utils/workflow.js";
+
+const WorkflowSchema = new mongoose.Schema(
+  {
+    statuses: [
+      {
+        key: {
+          type: String,
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        category: {
+          type: String,
+          enum: STATUS_CATEGORIES,
+          required: true,
+        },
+      },
+    ],
+    transitions: [
+      {
+        from: {
+          type: String,
+          required: true,
+        },
+        to: {
+          type: String,
+          required: true,
+        },
+      },
+    ],
+    // Refuse moving an issue to a done status while a blocker is still open
+    blockDoneWhileBlocked: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
 
 const ProjectSchema = new mongoose.Schema(
   {
@@ -23,8 +64,16 @@ const ProjectSchema = new mongoose.Schema(
     },
     member: [
       {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: ["owner", "manager", "developer", "viewer"],
+          default: "developer",
+        },
       },
     ],
     pendingInvites: [
@@ -51,19 +100,29 @@ const ProjectSchema = new mongoose.Schema(
       issuePrefix: {
         type: String,
         default: "",
+        uppercase: true,
       },
       defaultAssignee: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
     },
+    workflow: {
+      type: WorkflowSchema,
+      default: getDefaultWorkflow,
+    },
+    // Last issue number handed out; only ever incremented atomically
+    issueSequence: {
+      type: Number,
+      default: 0,
+    },
   },
   { timestamps: true }
 );
 
 // Index for better performance
 ProjectSchema.index({ owner: 1 });
-ProjectSchema.index({ member: 1 });
+ProjectSchema.index({ "member.user": 1 });
 
 // Virtual for issue count
 ProjectSchema.virtual("issueCount", {
@@ -75,11 +134,70 @@ ProjectSchema.virtual("issueCount", {
 
 // Ensure owner is always a member
 ProjectSchema.pre("save", function (next) {
-  if (this.owner && !this.member.includes(this.owner)) {
-    this.member.unshift(this.owner);
+  if (this.owner) {
+    const ownerMember = this.member.find(
+      (member) => member.user.toString() === this.owner.toString()
+    );
+
+    if (!ownerMember) {
+      this.member.unshift({ user: this.owner, role: "owner" });
+    } else if (ownerMember.role !== "owner") {
+      ownerMember.role = "owner";
+    }
   }
   next();
 });
 
+// Get the project role of a user (null if not a member)
+ProjectSchema.methods.getMemberRole = function (userId) {
+  if (!userId) return null;
+
+  const id = (userId._id || userId).toString();
+  const ownerId = (this.owner?._id || this.owner)?.toString();
+
+  if (ownerId === id) return "owner";
+
+  const member = this.member.find(
+    (member) => (member.user?._id || member.user)?.toString() === id
+  );
+
+  return member ? member.role : null;
+};
+
+// Prefix used for issue keys (settings.issuePrefix, falling back to the key)
+ProjectSchema.methods.getIssuePrefix = function () {
+  return this.settings?.issuePrefix || this.key;
+};
+
+// Reserve the next issue key. The counter is incremented in the database so
+// concurrent creates never receive the same number and deleted numbers are
+// never handed out again. The prefix is read in the same operation, but a
+// key rename can still commit before the issue is inserted. Pass the session
+// of the transaction that creates the issue: the rename writes the project
+// document too, so one of the two transactions is retried after the other.
+ProjectSchema.methods.nextIssueKey = async function ({ session } = {}) {
+  const project = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { issueSequence: 1 } },
+    {
+      new: true,
+      projection: { issueSequence: 1, key: 1, settings: 1 },
+      session,
+    }
+  );
+
+  return `${project.getIssuePrefix()}-${project.issueSequence}`;
+};
+
+// Check if a user is a member of the project
+ProjectSchema.methods.isMember = function (userId) {
+  return this.getMemberRole(userId) !== null;
+};
+
+// Owners and managers can manage the whole project
+ProjectSchema.methods.canManage = function (userId) {
+  return ["owner", "manager"].includes(this.getMemberRole(userId));
+};
+
 const Project = mongoose.model("Project", ProjectSchema);
 export default Project;
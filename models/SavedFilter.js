@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+const SavedFilterSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Filters without a project run across every project the user is in
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    // Issue query language, see utils/issueQuery.js
+    query: {
+      type: String,
+      default: "",
+    },
+    sort: {
+      field: {
+        type: String,
+        enum: ["created", "updated", "dueDate", "status", "title"],
+        default: "created",
+      },
+      direction: {
+        type: String,
+        enum: ["asc", "desc"],
+        default: "desc",
+      },
+    },
+    visibility: {
+      type: String,
+      enum: ["private", "project", "members"],
+      default: "private",
+    },
+    sharedWith: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    subscribers: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        frequency: {
+          type: String,
+          enum: ["daily", "weekly"],
+          default: "daily",
+        },
+        lastSentAt: Date,
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Add indexes for better performance
+SavedFilterSchema.index({ owner: 1 });
+SavedFilterSchema.index({ projectId: 1, visibility: 1 });
+SavedFilterSchema.index({ sharedWith: 1 });
+SavedFilterSchema.index({ "subscribers.user": 1 });
+
+const SavedFilter = mongoose.model("SavedFilter", SavedFilterSchema);
+export default SavedFilter;
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// A signed-in device. Access tokens carry the session id, so revoking the
+// session logs the device out immediately.
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // SHA-256 of the current refresh token
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hashes of refresh tokens already rotated away. Seeing one again means
+    // the token was stolen, so the session is revoked.
+    previousTokenHashes: [
+      {
+        type: String,
+      },
+    ],
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: String,
+  },
+  { timestamps: true }
+);
+
+// Add indexes for better performance
+SessionSchema.index({ tokenHash: 1 }, { unique: true });
+SessionSchema.index({ previousTokenHashes: 1 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+// Remove sessions once their refresh token can no longer be used
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+SessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", SessionSchema);
+export default Session;
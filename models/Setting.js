@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Instance-wide settings managed by admins. There is a single document with
+// key "global"; use Setting.getGlobal() to read it.
+const SettingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+      default: "global",
+    },
+    // Users with these roles must enroll two-factor authentication before
+    // they can use anything but their account endpoints
+    twoFactorRequiredRoles: [
+      {
+        type: String,
+        enum: ["admin", "manager"],
+      },
+    ],
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+SettingSchema.statics.getGlobal = function () {
+  return this.findOneAndUpdate(
+    { key: "global" },
+    { $setOnInsert: { key: "global" } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Setting = mongoose.model("Setting", SettingSchema);
+export default Setting;
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const SprintSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    goal: {
+      type: String,
+      default: "",
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    startDate: Date,
+    endDate: Date,
+    state: {
+      type: String,
+      enum: ["planned", "active", "closed"],
+      default: "planned",
+    },
+    completedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Add indexes for better performance
+SprintSchema.index({ projectId: 1, state: 1 });
+
+const Sprint = mongoose.model("Sprint", SprintSchema);
+export default Sprint;
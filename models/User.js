@@ -26,12 +26,75 @@ const UserSchema = new mongoose.Schema(
       enum: ["admin", "manager", "developer", "viewer"],
       default: "developer",
     },
+    // In-app notifications the user wants to receive
+    notificationPreferences: {
+      assigned: { type: Boolean, default: true },
+      statusChanges: { type: Boolean, default: true },
+      issueUpdates: { type: Boolean, default: true },
+      comments: { type: Boolean, default: true },
+      mentions: { type: Boolean, default: true },
+      projectUpdates: { type: Boolean, default: true },
+    },
+    // Scheduled emails. The digest is sent at `hour` in the user's timezone.
+    emailPreferences: {
+      digest: {
+        enabled: { type: Boolean, default: true },
+        hour: { type: Number, min: 0, max: 23, default: 8 },
+        timezone: { type: String, default: "UTC" },
+      },
+      dueReminders: {
+        enabled: { type: Boolean, default: true },
+        hoursBefore: { type: Number, min: 1, max: 168, default: 24 },
+      },
+    },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // New address waiting for confirmation; email only changes once the
+    // verification link sent to it is used
+    pendingEmail: String,
+    emailVerificationToken: String,
+    emailVerificationExpire: Date,
+    // TOTP second factor. The secrets are only loaded when explicitly
+    // selected, e.g. .select("+twoFactor.secret")
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      // Secret handed out by /2fa/setup until a code confirms it
+      pendingSecret: { type: String, select: false },
+      // sha256 hashes of the unused recovery codes
+      recoveryCodes: { type: [String], select: false },
+      // Last accepted time step, so a code cannot be used twice
+      lastUsedStep: { type: Number, select: false },
+      enabledAt: Date,
+    },
+    // Set while an admin has deactivated the account; deactivated users
+    // cannot log in or use any token
+    deactivatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Identity at the single sign-on provider, set on the first OIDC login
+    oidc: {
+      issuer: String,
+      subject: String,
+      linkedAt: Date,
+    },
   },
   { timestamps: true }
 );
 
+UserSchema.index(
+  { "oidc.issuer": 1, "oidc.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "oidc.subject": { $exists: true } },
+  }
+);
+
 UserSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
 
@@ -44,7 +107,9 @@ UserSchema.methods.matchPassword = async function (enterpassword) {
 };
 
 // Generate reset Password token
-UserSchema.methods.getResetPasswordToken = function () {
+UserSchema.methods.getResetPasswordToken = function (
+  expiresInMs = 10 * 60 * 1000 // 10 min
+) {
   const resetToken = crypto.randomBytes(20).toString("hex");
 
   this.resetPasswordToken = crypto
@@ -52,10 +117,24 @@ UserSchema.methods.getResetPasswordToken = function () {
     .update(resetToken)
     .digest("hex");
 
-  this.resetPasswordExpire = Date.now() + 10 * 60 * 1000; // 10 min
+  this.resetPasswordExpire = Date.now() + expiresInMs;
 
   return resetToken;
 };
 
+// Generate email verification token (for the account email or pendingEmail)
+UserSchema.methods.getEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(20).toString("hex");
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return verificationToken;
+};
+
 const User = mongoose.model("User", UserSchema);
 export default User;
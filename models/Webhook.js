@@ -0,0 +1,53 @@
+import mongoose from "mongoose";
+
+export const WEBHOOK_EVENTS = [
+  "issue.created",
+  "issue.updated",
+  "issue.deleted",
+  "comment.created",
+  "member.added",
+];
+
+const WebhookSchema = new mongoose.Schema(
+  {
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    events: [
+      {
+        type: String,
+        enum: WEBHOOK_EVENTS,
+      },
+    ],
+    // HMAC key for the X-Webhook-Signature header. Only returned when the
+    // webhook is created.
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Add indexes for better performance
+WebhookSchema.index({ projectId: 1, active: 1 });
+
+const Webhook = mongoose.model("Webhook", WebhookSchema);
+export default Webhook;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhookId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastAttemptAt: Date,
+    responseStatus: Number,
+    lastError: String,
+    deliveredAt: Date,
+  },
+  { timestamps: true }
+);
+
+// Add indexes for better performance
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  WebhookDeliverySchema
+);
+export default WebhookDelivery;
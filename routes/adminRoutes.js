@@ -0,0 +1,44 @@
+import express from "express";
+const router = express.Router();
+import { protect } from "../middleware/authMiddleware.js";
+import { checkAdmin } from "../middleware/projectMiddleware.js";
+import {
+  getLockouts,
+  clearLockout,
+  getTwoFactorSettings,
+  updateTwoFactorSettings,
+  getUsers,
+  updateUserRole,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  getAllProjects,
+  reassignProjectOwner,
+  getAuditLogs,
+} from "../controller/adminController.js";
+
+router.get("/lockouts", protect, checkAdmin, getLockouts);
+router.delete("/lockouts/:id", protect, checkAdmin, clearLockout);
+
+router
+  .route("/settings/two-factor")
+  .get(protect, checkAdmin, getTwoFactorSettings)
+  .put(protect, checkAdmin, updateTwoFactorSettings);
+
+router.get("/users", protect, checkAdmin, getUsers);
+router.put("/users/:id/role", protect, checkAdmin, updateUserRole);
+router.post("/users/:id/deactivate", protect, checkAdmin, deactivateUser);
+router.post("/users/:id/reactivate", protect, checkAdmin, reactivateUser);
+router.post(
+  "/users/:id/reset-password",
+  protect,
+  checkAdmin,
+  forcePasswordReset
+);
+
+router.get("/projects", protect, checkAdmin, getAllProjects);
+router.put("/projects/:id/owner", protect, checkAdmin, reassignProjectOwner);
+
+router.get("/audit-logs", protect, checkAdmin, getAuditLogs);
+
+export default router;
@@ -5,12 +5,21 @@ import {
   uploadAttachment,
   deleteAttachment,
   getMyAttachments,
+  getAttachmentUrl,
+  streamAttachment,
+  serveLocalFile,
 } from "../controller/attachmentController.js";
-import { checkAttachmentPermission } from "../middleware/projectMiddleware.js";
+import {
+  checkAttachmentPermission,
+  checkAttachmentAccess,
+} from "../middleware/projectMiddleware.js";
 
 // File upload routes
 router.post("/", protect, uploadAttachment);
 router.delete("/:id", protect, checkAttachmentPermission, deleteAttachment);
 router.get("/my-attachments", protect, getMyAttachments);
+router.get("/files/*key", serveLocalFile);
+router.get("/:id/url", protect, checkAttachmentAccess, getAttachmentUrl);
+router.get("/:id/content", protect, checkAttachmentAccess, streamAttachment);
 
 export default router;
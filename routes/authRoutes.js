@@ -2,16 +2,46 @@ import express from "express";
 const router = express.Router();
 import {
   loginUser,
+  verifyTwoFactorLogin,
   registerUser,
   updateUserProfile,
   getUserProfile,
   forgotPassword,
   resetPassword,
+  refreshSession,
+  verifyEmail,
+  resendVerification,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeUserSession,
 } from "../controller/authController.js";
+import {
+  createAccessToken,
+  getAccessTokens,
+  revokeAccessToken,
+} from "../controller/accessTokenController.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} from "../controller/twoFactorController.js";
+import {
+  startOidcLogin,
+  handleOidcCallback,
+  exchangeOidcLoginCode,
+} from "../controller/oidcController.js";
 import { protect } from "../middleware/authMiddleware.js";
 
 router.post("/login", loginUser);
+router.post("/login/2fa", verifyTwoFactorLogin);
 router.post("/register", registerUser);
+
+router.get("/oidc/login", startOidcLogin);
+router.get("/oidc/callback", handleOidcCallback);
+router.post("/oidc/token", exchangeOidcLoginCode);
 router
   .route("/profile")
   .get(protect, getUserProfile)
@@ -20,4 +50,25 @@ router
 router.post("/forgotpassword", forgotPassword);
 router.put("/resetpassword/:resettoken", resetPassword);
 
+router.post("/verify-email/:token", verifyEmail);
+router.post("/resend-verification", protect, resendVerification);
+
+router.post("/refresh", refreshSession);
+router.post("/logout", protect, logout);
+router.post("/logout-all", protect, logoutAll);
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions/:id", protect, revokeUserSession);
+
+router
+  .route("/tokens")
+  .get(protect, getAccessTokens)
+  .post(protect, createAccessToken);
+router.delete("/tokens/:id", protect, revokeAccessToken);
+
+router.get("/2fa", protect, getTwoFactorStatus);
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/confirm", protect, confirmTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
+router.post("/2fa/disable", protect, disableTwoFactor);
+
 export default router;
@@ -5,22 +5,36 @@ import {
   createIssue,
   getProjectIssues,
   getIssue,
+  getIssueByKey,
   updateIssue,
   deleteIssue,
   assignIssue,
   updateIssueStatus,
   getMyAssignedIssues,
   getMyReportedIssues,
+  getIssueHistory,
+  getIssueLinks,
+  createIssueLink,
+  deleteIssueLink,
+  getIssueWatchers,
+  watchIssue,
+  unwatchIssue,
+  getIssueAttachments,
+  addIssueAttachments,
+  removeIssueAttachment,
 } from "../controller/issueController.js";
+import { uploadIssueAttachment } from "../controller/attachmentController.js";
 import {
   checkProjectMember,
   checkIssuePermission,
   checkIssueDeletePermission,
+  checkIssueMember,
   getProjectFromIssue,
 } from "../middleware/projectMiddleware.js";
 
 router.get("/assigned-to-me", protect, getMyAssignedIssues);
 router.get("/reported-by-me", protect, getMyReportedIssues);
+router.get("/by-key/:key", protect, getIssueByKey);
 
 router.post(
   "/projects/:projectId/issues",
@@ -41,5 +55,36 @@ router.delete("/:id", protect, checkIssueDeletePermission, deleteIssue);
 
 router.put("/:id/assign", protect, checkIssuePermission, assignIssue);
 router.put("/:id/status", protect, checkIssuePermission, updateIssueStatus);
+router.get("/:id/history", protect, checkIssuePermission, getIssueHistory);
+
+router.get("/:id/links", protect, checkIssuePermission, getIssueLinks);
+router.post("/:id/links", protect, checkIssuePermission, createIssueLink);
+router.delete(
+  "/:id/links/:linkId",
+  protect,
+  checkIssuePermission,
+  deleteIssueLink
+);
+
+router.get("/:id/watchers", protect, checkIssueMember, getIssueWatchers);
+router.post("/:id/watchers", protect, checkIssueMember, watchIssue);
+router.delete("/:id/watchers", protect, checkIssueMember, unwatchIssue);
+
+router
+  .route("/:id/attachments")
+  .get(protect, checkIssueMember, getIssueAttachments)
+  .post(protect, checkIssueMember, addIssueAttachments);
+router.post(
+  "/:id/attachments/upload",
+  protect,
+  checkIssueMember,
+  uploadIssueAttachment
+);
+router.delete(
+  "/:id/attachments/:attachmentId",
+  protect,
+  checkIssueMember,
+  removeIssueAttachment
+);
 
 export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+const router = express.Router();
+import { protect } from "../middleware/authMiddleware.js";
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getEmailPreferences,
+  updateEmailPreferences,
+} from "../controller/notificationController.js";
+
+router.get("/", protect, getNotifications);
+router.get("/unread-count", protect, getUnreadCount);
+router
+  .route("/preferences")
+  .get(protect, getNotificationPreferences)
+  .put(protect, updateNotificationPreferences);
+router
+  .route("/email-preferences")
+  .get(protect, getEmailPreferences)
+  .put(protect, updateEmailPreferences);
+router.put("/read-all", protect, markAllNotificationsRead);
+router.put("/:id/read", protect, markNotificationRead);
+
+export default router;
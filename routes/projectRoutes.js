@@ -1,6 +1,10 @@
 import express from "express";
 const router = express.Router();
-import { protect } from "../middleware/authMiddleware.js";
+import {
+  protect,
+  protectStream,
+  requireScope,
+} from "../middleware/authMiddleware.js";
 import {
   createProject,
   getProjects,
@@ -10,10 +14,15 @@ import {
   inviteMember,
   acceptInvitation,
   removeMember,
+  updateMemberRole,
   getProjectStats,
+  getProjectWorkflow,
+  updateProjectWorkflow,
 } from "../controller/projectController.js";
+import { streamProjectEvents } from "../controller/realtimeController.js";
 import {
   checkProjectOwner,
+  checkProjectManager,
   checkProjectMember,
 } from "../middleware/projectMiddleware.js";
 
@@ -22,16 +31,56 @@ router.get("/", protect, getProjects);
 router.post("/accept-invite/:token", protect, acceptInvitation);
 
 router.get("/:id", protect, checkProjectMember, getProject);
-router.put("/:id", protect, checkProjectOwner, updateProject);
-router.delete("/:id", protect, checkProjectOwner, deleteProject);
+router.put(
+  "/:id",
+  protect,
+  requireScope("projects:admin"),
+  checkProjectManager,
+  updateProject
+);
+router.delete(
+  "/:id",
+  protect,
+  requireScope("projects:admin"),
+  checkProjectOwner,
+  deleteProject
+);
 router.get("/:id/stats", protect, checkProjectMember, getProjectStats);
+router.get(
+  "/:id/events",
+  protectStream,
+  checkProjectMember,
+  streamProjectEvents
+);
+router.get("/:id/workflow", protect, checkProjectMember, getProjectWorkflow);
+router.put(
+  "/:id/workflow",
+  protect,
+  requireScope("projects:admin"),
+  checkProjectManager,
+  updateProjectWorkflow
+);
 
-router.post("/:id/invite", protect, checkProjectOwner, inviteMember);
+router.post(
+  "/:id/invite",
+  protect,
+  requireScope("projects:admin"),
+  checkProjectManager,
+  inviteMember
+);
 router.delete(
   "/:id/members/:memberId",
   protect,
-  checkProjectOwner,
+  requireScope("projects:admin"),
+  checkProjectManager,
   removeMember
 );
+router.put(
+  "/:id/members/:memberId/role",
+  protect,
+  requireScope("projects:admin"),
+  checkProjectOwner,
+  updateMemberRole
+);
 
 export default router;
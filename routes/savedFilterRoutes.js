@@ -0,0 +1,33 @@
+import express from "express";
+const router = express.Router();
+import { protect } from "../middleware/authMiddleware.js";
+import {
+  createSavedFilter,
+  getSavedFilters,
+  getSavedFilter,
+  updateSavedFilter,
+  deleteSavedFilter,
+  runSavedFilter,
+  subscribeToFilter,
+  unsubscribeFromFilter,
+} from "../controller/savedFilterController.js";
+import { checkFilterPermission } from "../middleware/projectMiddleware.js";
+
+router.post("/", protect, createSavedFilter);
+router.get("/", protect, getSavedFilters);
+
+router.get("/:id", protect, checkFilterPermission, getSavedFilter);
+router.put("/:id", protect, checkFilterPermission, updateSavedFilter);
+router.delete("/:id", protect, checkFilterPermission, deleteSavedFilter);
+
+router.get("/:id/issues", protect, checkFilterPermission, runSavedFilter);
+
+router.post(
+  "/:id/subscription",
+  protect,
+  checkFilterPermission,
+  subscribeToFilter
+);
+router.delete("/:id/subscription", protect, unsubscribeFromFilter);
+
+export default router;
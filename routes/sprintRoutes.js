@@ -0,0 +1,49 @@
+import express from "express";
+const router = express.Router();
+import { protect } from "../middleware/authMiddleware.js";
+import {
+  createSprint,
+  getProjectSprints,
+  getSprint,
+  updateSprint,
+  deleteSprint,
+  addIssuesToSprint,
+  removeIssueFromSprint,
+  startSprint,
+  completeSprint,
+} from "../controller/sprintController.js";
+import {
+  checkProjectMember,
+  checkProjectManager,
+  checkSprintPermission,
+} from "../middleware/projectMiddleware.js";
+
+router.post(
+  "/projects/:projectId/sprints",
+  protect,
+  checkProjectManager,
+  createSprint
+);
+router.get(
+  "/projects/:projectId/sprints",
+  protect,
+  checkProjectMember,
+  getProjectSprints
+);
+
+router.get("/:id", protect, checkSprintPermission, getSprint);
+router.put("/:id", protect, checkSprintPermission, updateSprint);
+router.delete("/:id", protect, checkSprintPermission, deleteSprint);
+
+router.post("/:id/issues", protect, checkSprintPermission, addIssuesToSprint);
+router.delete(
+  "/:id/issues/:issueId",
+  protect,
+  checkSprintPermission,
+  removeIssueFromSprint
+);
+
+router.post("/:id/start", protect, checkSprintPermission, startSprint);
+router.post("/:id/complete", protect, checkSprintPermission, completeSprint);
+
+export default router;
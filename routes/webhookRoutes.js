@@ -0,0 +1,70 @@
+import express from "express";
+const router = express.Router();
+import { protect, requireScope } from "../middleware/authMiddleware.js";
+import {
+  createWebhook,
+  getProjectWebhooks,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  sendTestEvent,
+} from "../controller/webhookController.js";
+import {
+  checkProjectOwner,
+  checkWebhookPermission,
+} from "../middleware/projectMiddleware.js";
+
+router.post(
+  "/projects/:projectId/webhooks",
+  protect,
+  requireScope("projects:admin"),
+  checkProjectOwner,
+  createWebhook
+);
+router.get(
+  "/projects/:projectId/webhooks",
+  protect,
+  requireScope("projects:admin"),
+  checkProjectOwner,
+  getProjectWebhooks
+);
+
+router.get(
+  "/:id",
+  protect,
+  requireScope("projects:admin"),
+  checkWebhookPermission,
+  getWebhook
+);
+router.put(
+  "/:id",
+  protect,
+  requireScope("projects:admin"),
+  checkWebhookPermission,
+  updateWebhook
+);
+router.delete(
+  "/:id",
+  protect,
+  requireScope("projects:admin"),
+  checkWebhookPermission,
+  deleteWebhook
+);
+
+router.get(
+  "/:id/deliveries",
+  protect,
+  requireScope("projects:admin"),
+  checkWebhookPermission,
+  getWebhookDeliveries
+);
+router.post(
+  "/:id/test",
+  protect,
+  requireScope("projects:admin"),
+  checkWebhookPermission,
+  sendTestEvent
+);
+
+export default router;
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+// Marks accounts created before email verification existed as verified, so
+// their owners can keep accepting project invitations. Safe to run more than
+// once: only users without the flag are touched.
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  const result = await mongoose.connection
+    .collection("users")
+    .updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true } }
+    );
+
+  console.log(`Marked ${result.modifiedCount} existing user(s) as verified`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Email verification migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,141 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import os from "os";
+import path from "path";
+import { pipeline } from "stream/promises";
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Attachment from "../models/Attachment.js";
+import {
+  getStorage,
+  getResourceType,
+  getAttachmentType,
+  getAttachmentContentUrl,
+  createStorageKey,
+} from "../utils/storage/index.js";
+
+// Moves attachment files from one storage driver to another and updates
+// their documents, e.g.
+//   npm run migrate:attachment-storage -- --from cloudinary --to local
+// Options:
+//   --dry-run      only count the attachments that would be moved
+//   --keep-source  copy instead of move (the old files are not deleted)
+// Safe to run again after a failure: moved attachments no longer match
+// --from, and failed ones are left untouched.
+
+dotenv.config();
+
+const getOption = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const hasFlag = (name) => process.argv.includes(`--${name}`);
+
+const moveAttachment = async (attachment, source, target, keepSource) => {
+  const tempDir = await fsPromises.mkdtemp(
+    path.join(os.tmpdir(), "attachment-")
+  );
+  const tempFile = path.join(tempDir, "file");
+
+  try {
+    const { stream } = await source.createReadStream(attachment.publicId, {
+      resourceType: getResourceType(attachment),
+    });
+    await pipeline(stream, fs.createWriteStream(tempFile));
+
+    const result = await target.upload(tempFile, {
+      key: createStorageKey(attachment.originalFilename),
+      mimeType: attachment.mimeType,
+    });
+
+    const previous = {
+      key: attachment.publicId,
+      resourceType: getResourceType(attachment),
+    };
+
+    await Attachment.updateOne(
+      { _id: attachment._id },
+      {
+        $set: {
+          storage: target.name,
+          publicId: result.key,
+          url: result.url || getAttachmentContentUrl(attachment._id),
+          type: getAttachmentType(attachment.mimeType, result.resourceType),
+        },
+      }
+    );
+
+    if (!keepSource) {
+      // The document already points at the new copy, so a failed delete
+      // only leaves an orphaned file behind
+      await source
+        .delete(previous.key, { resourceType: previous.resourceType })
+        .catch((error) =>
+          console.warn(
+            `Could not delete ${previous.key} from ${source.name}:`,
+            error.message
+          )
+        );
+    }
+  } finally {
+    await fsPromises.rm(tempDir, { recursive: true, force: true });
+  }
+};
+
+const migrate = async () => {
+  const from = getOption("from");
+  const to = getOption("to");
+
+  if (!from || !to || from === to) {
+    throw new Error(
+      "Usage: migrateAttachmentStorage.js --from <driver> --to <driver> [--dry-run] [--keep-source]"
+    );
+  }
+
+  const source = getStorage(from);
+  const target = getStorage(to);
+
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  // Attachments from before storage drivers existed have no storage field
+  const filter =
+    from === "cloudinary"
+      ? { storage: { $in: ["cloudinary", null] } }
+      : { storage: from };
+
+  const total = await Attachment.countDocuments(filter);
+
+  if (hasFlag("dry-run")) {
+    console.log(`${total} attachment(s) would be moved from ${from} to ${to}`);
+    return;
+  }
+
+  let moved = 0;
+  let failed = 0;
+
+  for await (const attachment of Attachment.find(filter).cursor()) {
+    try {
+      await moveAttachment(attachment, source, target, hasFlag("keep-source"));
+      moved++;
+    } catch (error) {
+      failed++;
+      console.error(`Failed to move attachment ${attachment._id}:`, error);
+    }
+  }
+
+  console.log(
+    `Moved ${moved} of ${total} attachment(s) from ${from} to ${to}${
+      failed ? `, ${failed} failed` : ""
+    }`
+  );
+
+  if (failed) process.exitCode = 1;
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Attachment storage migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+// Converts Project.member from a list of user ids into { user, role }
+// entries. Existing members become developers, the owner becomes "owner".
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  const projects = mongoose.connection.collection("projects");
+  const cursor = projects.find({});
+  let updated = 0;
+
+  for await (const project of cursor) {
+    const members = project.member || [];
+    const needsMigration = members.some(
+      (member) => member instanceof mongoose.Types.ObjectId
+    );
+
+    if (!needsMigration) continue;
+
+    const migrated = members.map((member) => {
+      if (!(member instanceof mongoose.Types.ObjectId)) return member;
+
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        user: member,
+        role: member.equals(project.owner) ? "owner" : "developer",
+      };
+    });
+
+    await projects.updateOne(
+      { _id: project._id },
+      { $set: { member: migrated } }
+    );
+    updated++;
+  }
+
+  console.log(`Migrated member roles for ${updated} project(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Member role migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,205 @@
+import crypto from "crypto";
+import express from "express";
+import jwt from "jsonwebtoken";
+import dotenv from "dotenv";
+
+// A local OpenID Connect provider for trying single sign-on without a real
+// one. It signs in anyone without a password. Point the server at it with
+//   OIDC_ISSUER=http://localhost:4000
+//   OIDC_CLIENT_ID=jira-clone
+//   OIDC_REDIRECT_URI=http://localhost:5000/api/auth/oidc/callback
+// then open http://localhost:5000/api/auth/oidc/login. Adding
+// login_hint=<email> to the authorize URL skips the sign-in form.
+// Never expose it outside your machine.
+
+dotenv.config();
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "jira-clone";
+const DEFAULT_GROUPS = process.env.MOCK_OIDC_GROUPS || "";
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+
+// Authorization codes waiting to be redeemed, by code
+const pendingCodes = new Map();
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    scopes_supported: ["openid", "email", "profile"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({
+    keys: [
+      {
+        ...publicKey.export({ format: "jwk" }),
+        kid: KEY_ID,
+        use: "sig",
+        alg: "RS256",
+      },
+    ],
+  });
+});
+
+// Check the authorization request and issue a code for the given person
+const authorize = (params, person, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge } = params;
+
+  if (client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).send("Unknown client_id or missing redirect_uri");
+  }
+
+  if (!code_challenge || params.code_challenge_method !== "S256") {
+    return res.status(400).send("PKCE with S256 is required");
+  }
+
+  const code = crypto.randomBytes(16).toString("hex");
+  pendingCodes.set(code, {
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    nonce,
+    person,
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  const url = new URL(redirect_uri);
+  url.searchParams.set("code", code);
+  if (state) url.searchParams.set("state", state);
+
+  res.redirect(url.toString());
+};
+
+const getPerson = ({ email, name, groups }) => ({
+  sub: crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+  email,
+  name: name || email.split("@")[0],
+  groups: (groups ?? DEFAULT_GROUPS)
+    .split(",")
+    .map((group) => group.trim())
+    .filter(Boolean),
+});
+
+app.get("/authorize", (req, res) => {
+  if (req.query.login_hint) {
+    return authorize(
+      req.query,
+      getPerson({ email: req.query.login_hint }),
+      res
+    );
+  }
+
+  const hidden = Object.entries(req.query)
+    .map(
+      ([name, value]) =>
+        `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(
+          value
+        )}">`
+    )
+    .join("");
+
+  res.send(`<!doctype html>
+<title>Mock identity provider</title>
+<h1>Sign in (mock)</h1>
+<form method="post" action="/authorize">
+  ${hidden}
+  <p><label>Email <input name="email" type="email" required></label></p>
+  <p><label>Name <input name="name"></label></p>
+  <p><label>Groups (comma separated) <input name="groups" value="${escapeHtml(
+    DEFAULT_GROUPS
+  )}"></label></p>
+  <button>Sign in</button>
+</form>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const { email, name, groups, ...params } = req.body;
+  authorize(params, getPerson({ email, name, groups }), res);
+});
+
+app.post("/token", (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const pending = pendingCodes.get(code);
+  pendingCodes.delete(code);
+
+  if (grant_type !== "authorization_code" || client_id !== CLIENT_ID) {
+    return res.status(400).json({ error: "invalid_request" });
+  }
+
+  if (
+    !pending ||
+    pending.expiresAt < Date.now() ||
+    pending.redirectUri !== redirect_uri
+  ) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(String(code_verifier))
+    .digest("base64url");
+
+  if (challenge !== pending.codeChallenge) {
+    return res.status(400).json({
+      error: "invalid_grant",
+      error_description: "PKCE verification failed",
+    });
+  }
+
+  const idToken = jwt.sign(
+    {
+      ...pending.person,
+      email_verified: true,
+      nonce: pending.nonce,
+    },
+    privateKey,
+    {
+      algorithm: "RS256",
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: CLIENT_ID,
+      expiresIn: "5m",
+    }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString("hex"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, "127.0.0.1", () => {
+  console.log(
+    `Mock OIDC provider running at ${ISSUER} (client_id ${CLIENT_ID})`
+  );
+});
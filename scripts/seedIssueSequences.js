@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+// Seeds Project.issueSequence from the highest issue number already used in
+// each project so new issue keys never collide with existing ones. Safe to
+// run more than once: the counter is only ever raised.
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  const projects = mongoose.connection.collection("projects");
+  const issues = mongoose.connection.collection("issues");
+  let updated = 0;
+
+  for await (const project of projects.find({}, { projection: { _id: 1 } })) {
+    let highest = 0;
+
+    const cursor = issues.find(
+      { projectId: project._id },
+      { projection: { key: 1 } }
+    );
+
+    for await (const issue of cursor) {
+      const match = /-(\d+)$/.exec(issue.key || "");
+      if (match) highest = Math.max(highest, parseInt(match[1]));
+    }
+
+    const result = await projects.updateOne(
+      { _id: project._id },
+      { $max: { issueSequence: highest } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  console.log(`Seeded issue sequence for ${updated} project(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Issue sequence migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
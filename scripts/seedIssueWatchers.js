@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+
+// Adds the reporter, the assignee and every commenter of existing issues to
+// Issue.watchers, matching what new issues get automatically. Safe to run
+// more than once: watchers are only ever added.
+
+dotenv.config();
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URL);
+
+  const issues = mongoose.connection.collection("issues");
+  const comments = mongoose.connection.collection("comments");
+  let updated = 0;
+
+  const cursor = issues.find({}, { projection: { reporter: 1, assignee: 1 } });
+
+  for await (const issue of cursor) {
+    const commenters = await comments.distinct("author", {
+      issueId: issue._id,
+    });
+
+    const watchers = [issue.reporter, issue.assignee, ...commenters].filter(
+      Boolean
+    );
+
+    const result = await issues.updateOne(
+      { _id: issue._id },
+      { $addToSet: { watchers: { $each: watchers } } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  console.log(`Seeded watchers for ${updated} issue(s)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error("Issue watcher migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
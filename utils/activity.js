@@ -0,0 +1,88 @@
+import IssueActivity from "../models/IssueActivity.js";
+
+// Issue fields whose changes are written to the activity log
+export const TRACKED_ISSUE_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "assignee",
+  "tags",
+  "dueDate",
+  "sprint",
+  "type",
+  "parent",
+];
+
+// Store ids and dates as plain strings so history entries stay readable
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value._id) return value._id.toString();
+  return value;
+};
+
+// Capture the tracked fields of an issue before it is modified
+export const snapshotIssue = (issue) => {
+  const snapshot = {};
+  TRACKED_ISSUE_FIELDS.forEach((field) => {
+    snapshot[field] = normalizeValue(issue[field]);
+  });
+  return snapshot;
+};
+
+const getProjectId = (issue) => issue.projectId?._id || issue.projectId;
+
+// Record a single activity entry. History must never break the request that
+// triggered it, so failures are only logged.
+export const recordActivity = async ({
+  issue,
+  actor,
+  action,
+  field,
+  oldValue,
+  newValue,
+}) => {
+  try {
+    await IssueActivity.create({
+      issueId: issue._id,
+      projectId: getProjectId(issue),
+      actor,
+      action,
+      field,
+      oldValue: normalizeValue(oldValue),
+      newValue: normalizeValue(newValue),
+    });
+  } catch (error) {
+    console.error("Failed to record issue activity:", error);
+  }
+};
+
+// Compare an issue with a snapshot taken before the change and record one
+// "updated" entry per changed field. Returns the recorded changes.
+export const recordIssueChanges = async (issue, actor, before) => {
+  const after = snapshotIssue(issue);
+
+  const entries = TRACKED_ISSUE_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({
+    issueId: issue._id,
+    projectId: getProjectId(issue),
+    actor,
+    action: "updated",
+    field,
+    oldValue: before[field],
+    newValue: after[field],
+  }));
+
+  if (entries.length === 0) return entries;
+
+  try {
+    await IssueActivity.insertMany(entries);
+  } catch (error) {
+    console.error("Failed to record issue activity:", error);
+  }
+
+  return entries;
+};
@@ -0,0 +1,25 @@
+import AuditLog from "../models/AuditLog.js";
+
+// Record an admin action taken by the request's user. Unlike issue activity,
+// failures are not swallowed: pass the session of the transaction that makes
+// the change, so an action that could not be audited does not happen either.
+export const recordAudit = (
+  req,
+  { action, targetType, target, targetLabel, from, to },
+  { session } = {}
+) =>
+  AuditLog.create(
+    [
+      {
+        actor: req.user._id,
+        action,
+        targetType,
+        targetId: target._id,
+        targetLabel,
+        changes: { from, to },
+        ip: req.ip,
+        userAgent: req.headers["user-agent"] || "",
+      },
+    ],
+    { session }
+  );
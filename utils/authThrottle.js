@@ -0,0 +1,113 @@
+import AuthThrottle from "../models/AuthThrottle.js";
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Attempts allowed per window before a lockout, for each action and scope.
+// Login counts failed attempts only and registration counts created accounts
+// only; password reset counts every request.
+const LIMITS = {
+  login: {
+    account: { max: 5, windowMs: 15 * MINUTE_MS },
+    ip: { max: 20, windowMs: 15 * MINUTE_MS },
+  },
+  register: {
+    ip: { max: 5, windowMs: HOUR_MS },
+  },
+  forgot_password: {
+    account: { max: 3, windowMs: HOUR_MS },
+    ip: { max: 10, windowMs: HOUR_MS },
+  },
+};
+
+const BASE_LOCKOUT_MS = 5 * MINUTE_MS;
+const MAX_LOCKOUT_MS = 24 * HOUR_MS;
+
+// Lockouts are forgotten after a quiet day, so the next one starts short again
+const LOCKOUT_MEMORY_MS = 24 * HOUR_MS;
+
+const getLockoutDuration = (lockouts) =>
+  Math.min(BASE_LOCKOUT_MS * 2 ** lockouts, MAX_LOCKOUT_MS);
+
+// The throttle subjects of a request: its IP and, when given, the account
+export const getThrottleKeys = (action, { ip, email }) =>
+  Object.keys(LIMITS[action])
+    .map((scope) => ({
+      action,
+      scope,
+      identifier: scope === "ip" ? ip : email?.toString().trim().toLowerCase(),
+    }))
+    .filter((key) => key.identifier);
+
+// The latest lockout end among the keys, or null when none is locked
+export const getLockedUntil = async (keys) => {
+  if (keys.length === 0) return null;
+
+  const locked = await AuthThrottle.find({
+    $or: keys,
+    lockedUntil: { $gt: new Date() },
+  }).sort({ lockedUntil: -1 });
+
+  return locked[0]?.lockedUntil || null;
+};
+
+// Count an attempt against each key and lock the keys that reached their
+// limit. Returns the latest lockout end, or null when nothing got locked.
+export const recordAttempt = async (keys) => {
+  const now = new Date();
+  let lockedUntil = null;
+
+  for (const key of keys) {
+    const { max, windowMs } = LIMITS[key.action][key.scope];
+
+    // Start a new window once the previous one has passed
+    await AuthThrottle.updateOne(
+      { ...key, windowStart: { $lte: new Date(now.getTime() - windowMs) } },
+      { $set: { attempts: 0, windowStart: now } }
+    );
+
+    const throttle = await AuthThrottle.findOneAndUpdate(
+      key,
+      {
+        $inc: { attempts: 1 },
+        $set: {
+          lastAttemptAt: now,
+          expiresAt: new Date(now.getTime() + LOCKOUT_MEMORY_MS),
+        },
+        $setOnInsert: { windowStart: now },
+      },
+      { upsert: true, new: true }
+    );
+
+    if (throttle.attempts < max) continue;
+
+    const lockouts =
+      throttle.lockedUntil && now - throttle.lockedUntil > LOCKOUT_MEMORY_MS
+        ? 0
+        : throttle.lockouts;
+    const until = new Date(now.getTime() + getLockoutDuration(lockouts));
+
+    await AuthThrottle.updateOne(
+      { _id: throttle._id },
+      {
+        $set: {
+          attempts: 0,
+          windowStart: now,
+          lockouts: lockouts + 1,
+          lockedUntil: until,
+          expiresAt: new Date(until.getTime() + LOCKOUT_MEMORY_MS),
+        },
+      }
+    );
+
+    if (!lockedUntil || until > lockedUntil) lockedUntil = until;
+  }
+
+  return lockedUntil;
+};
+
+// Forget failed attempts after a success (the lockout history is kept)
+export const clearAttempts = (keys) =>
+  keys.length === 0
+    ? null
+    : AuthThrottle.updateMany({ $or: keys }, { $set: { attempts: 0 } });
@@ -1,7 +1,11 @@
 import { CronJob } from "cron";
 import https from "https";
+import { sendFilterSubscriptions } from "./savedFilters.js";
+import { sendDailyDigests, sendDueDateReminders } from "./scheduledEmails.js";
+import { retryWebhookDeliveries } from "./webhooks.js";
 
-const job = new CronJob(
+// Keep the hosted backend awake
+const keepAliveJob = new CronJob(
   "*/14 * * * *",
   function () {
     console.log("Running scheduled job...");
@@ -22,4 +26,75 @@ const job = new CronJob(
   "UTC"
 );
 
-export default job;
+// Email saved filter results to their subscribers
+const filterSubscriptionJob = new CronJob(
+  "0 * * * *",
+  async function () {
+    try {
+      await sendFilterSubscriptions();
+    } catch (error) {
+      console.error("Error while sending filter subscriptions", error);
+    }
+  },
+  null,
+  false,
+  "UTC"
+);
+
+// Send each user's daily digest once their local delivery hour starts. Runs
+// every 15 minutes so a restart early in the hour does not skip a day.
+const dailyDigestJob = new CronJob(
+  "*/15 * * * *",
+  async function () {
+    try {
+      await sendDailyDigests();
+    } catch (error) {
+      console.error("Error while sending daily digests", error);
+    }
+  },
+  null,
+  false,
+  "UTC"
+);
+
+// Remind assignees before their issues are due
+const dueDateReminderJob = new CronJob(
+  "*/15 * * * *",
+  async function () {
+    try {
+      await sendDueDateReminders();
+    } catch (error) {
+      console.error("Error while sending due date reminders", error);
+    }
+  },
+  null,
+  false,
+  "UTC"
+);
+
+// Retry failed webhook deliveries once their backoff has passed
+const webhookRetryJob = new CronJob(
+  "* * * * *",
+  async function () {
+    try {
+      await retryWebhookDeliveries();
+    } catch (error) {
+      console.error("Error while retrying webhook deliveries", error);
+    }
+  },
+  null,
+  false,
+  "UTC"
+);
+
+const jobs = [
+  keepAliveJob,
+  filterSubscriptionJob,
+  dailyDigestJob,
+  dueDateReminderJob,
+  webhookRetryJob,
+];
+
+export const startJobs = () => {
+  jobs.forEach((job) => job.start());
+};
@@ -21,4 +21,12 @@ const sendEmail = async ({ email, subject, html }) => {
   }
 };
 
+// Escape user-provided text before putting it into an email body
+export const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
 export default sendEmail;
@@ -0,0 +1,52 @@
+import crypto from "crypto";
+import { dispatchWebhooks } from "./webhooks.js";
+import { broadcastEvent } from "./realtime.js";
+
+const toId = (value) => (value?._id || value)?.toString() ?? null;
+
+// Public shape of an issue in event payloads
+export const serializeIssue = (issue) => ({
+  _id: toId(issue),
+  key: issue.key,
+  title: issue.title,
+  description: issue.description,
+  type: issue.type,
+  status: issue.status,
+  priority: issue.priority,
+  assignee: toId(issue.assignee),
+  reporter: toId(issue.reporter),
+  parent: toId(issue.parent),
+  sprint: toId(issue.sprint),
+  tags: issue.tags,
+  dueDate: issue.dueDate,
+  createdAt: issue.createdAt,
+  updatedAt: issue.updatedAt,
+});
+
+// Announce something that happened in a project to everything listening for
+// it outside the request: clients streaming the project's events and the
+// project's webhooks. Failures are only logged so they never break the
+// request that triggered the event.
+export const publishEvent = async ({ event, project, actor, data }) => {
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    createdAt: new Date().toISOString(),
+    project: {
+      _id: toId(project),
+      key: project.key,
+      name: project.name,
+    },
+    actor: toId(actor),
+    data,
+  };
+
+  try {
+    broadcastEvent(project._id, event, payload);
+    await dispatchWebhooks(project._id, event, payload);
+  } catch (error) {
+    console.error(`Failed to publish ${event} event:`, error);
+  }
+
+  return payload;
+};
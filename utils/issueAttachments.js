@@ -0,0 +1,145 @@
+import mongoose from "mongoose";
+import Attachment from "../models/Attachment.js";
+import Issue from "../models/Issue.js";
+import Comment from "../models/Comment.js";
+import { recordActivity } from "./activity.js";
+import { getAttachmentStorage, getResourceType } from "./storage/index.js";
+
+// Link the actor's uploads to an issue and record each one in its history.
+// An upload can only be linked while it is not attached to a comment or to
+// another issue, and that is checked in the update itself so concurrent
+// requests cannot attach it twice. Returns false, changing nothing, when
+// any of the uploads no longer qualifies.
+export const attachToIssue = async (issue, attachmentIds, actor) => {
+  if (attachmentIds.length === 0) return true;
+
+  const attached = await mongoose.connection.transaction(async (session) => {
+    const { matchedCount } = await Attachment.updateMany(
+      {
+        _id: { $in: attachmentIds },
+        uploadedBy: actor,
+        commentId: null,
+        issueId: { $in: [null, issue._id] },
+      },
+      { $set: { issueId: issue._id } },
+      { session }
+    );
+
+    if (matchedCount !== attachmentIds.length) {
+      await session.abortTransaction();
+      return false;
+    }
+
+    await Issue.updateOne(
+      { _id: issue._id },
+      { $addToSet: { attachments: { $each: attachmentIds } } },
+      { session }
+    );
+    return true;
+  });
+
+  if (!attached) return false;
+
+  for (const attachmentId of attachmentIds) {
+    await recordActivity({
+      issue,
+      actor,
+      action: "attachment_added",
+      field: "attachment",
+      newValue: attachmentId,
+    });
+  }
+
+  return true;
+};
+
+// Link the uploader's files to a comment inside the caller's transaction.
+// Like attachToIssue, the files must still be free (on no issue and no
+// comment) when the update runs. Returns false when any of them was not, in
+// which case the caller aborts the transaction.
+export const attachToComment = async (
+  comment,
+  attachmentIds,
+  uploader,
+  session
+) => {
+  if (attachmentIds.length === 0) return true;
+
+  const { modifiedCount } = await Attachment.updateMany(
+    {
+      _id: { $in: attachmentIds },
+      uploadedBy: uploader,
+      issueId: null,
+      commentId: null,
+    },
+    { $set: { commentId: comment._id } },
+    { session }
+  );
+
+  return modifiedCount === attachmentIds.length;
+};
+
+// Release files removed from a comment so they can be attached again
+export const detachFromComment = (comment, attachmentIds, session) =>
+  Attachment.updateMany(
+    { _id: { $in: attachmentIds }, commentId: comment._id },
+    { $unset: { commentId: "" } },
+    { session }
+  );
+
+// Attachments of an issue and of its comments, newest first. source tells
+// whether each one was attached to the issue or to a comment.
+export const listIssueAttachments = async (issueId) => {
+  const commentIds = await Comment.find({ issueId }).distinct("_id");
+
+  const attachments = await Attachment.find({
+    $or: [{ issueId }, { commentId: { $in: commentIds } }],
+  })
+    .populate("uploadedBy", "name email avatar")
+    .sort({ createdAt: -1 });
+
+  return attachments.map((attachment) => ({
+    ...attachment.toObject(),
+    source: attachment.issueId ? "issue" : "comment",
+  }));
+};
+
+// Delete the attachments matching the filter, stored files included. A file
+// that cannot be deleted is only logged, since what it belonged to is going
+// away either way.
+export const deleteAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter);
+
+  for (const attachment of attachments) {
+    await getAttachmentStorage(attachment)
+      .delete(attachment.publicId, {
+        resourceType: getResourceType(attachment),
+      })
+      .catch((error) =>
+        console.error(
+          `Failed to delete the file of attachment ${attachment._id}:`,
+          error
+        )
+      );
+  }
+
+  await Attachment.deleteMany({
+    _id: { $in: attachments.map((attachment) => attachment._id) },
+  });
+};
+
+// Delete the attachments of the given issues and of their comments
+export const deleteIssueAttachments = async (issueIds) => {
+  const issues = await Issue.find({ _id: { $in: issueIds } }, "attachments");
+  const commentIds = await Comment.find({
+    issueId: { $in: issueIds },
+  }).distinct("_id");
+
+  await deleteAttachments({
+    $or: [
+      { _id: { $in: issues.flatMap((issue) => issue.attachments) } },
+      { issueId: { $in: issueIds } },
+      { commentId: { $in: commentIds } },
+    ],
+  });
+};
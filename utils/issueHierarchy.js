@@ -0,0 +1,103 @@
+import mongoose from "mongoose";
+import Issue from "../models/Issue.js";
+
+export const ISSUE_TYPES = ["epic", "story", "task", "subtask"];
+
+// Which issue types may be the parent of each type
+const ALLOWED_PARENTS = {
+  epic: [],
+  story: ["epic"],
+  task: ["epic"],
+  subtask: ["story", "task"],
+};
+
+export const canBeParentOf = (parentType, childType) =>
+  (ALLOWED_PARENTS[childType] || []).includes(parentType);
+
+export const requiresParent = (type) => type === "subtask";
+
+// Check that an issue of the given type can sit under the given parent.
+// `issue` is the issue being changed, or null when it is being created.
+// Returns an error message, or null when the hierarchy is valid.
+export const validateHierarchy = async ({
+  issue,
+  type,
+  parentId,
+  projectId,
+}) => {
+  if (!ISSUE_TYPES.includes(type)) {
+    return `Invalid issue type. Allowed types: ${ISSUE_TYPES.join(", ")}`;
+  }
+
+  if (!parentId) {
+    if (requiresParent(type)) {
+      return "Sub-tasks must have a parent story or task";
+    }
+  } else {
+    if (!mongoose.isValidObjectId(parentId)) {
+      return "Invalid parent issue ID";
+    }
+
+    const parent = await Issue.findById(parentId);
+
+    if (!parent) {
+      return "Parent issue not found";
+    }
+
+    if (parent.projectId.toString() !== projectId.toString()) {
+      return "Parent issue must belong to the same project";
+    }
+
+    if (!canBeParentOf(parent.type, type)) {
+      return `A ${parent.type} cannot be the parent of a ${type}`;
+    }
+
+    // Walk up from the new parent to make sure the issue is not its own
+    // ancestor
+    if (issue) {
+      let ancestor = parent;
+      const visited = new Set();
+
+      while (ancestor) {
+        const ancestorId = ancestor._id.toString();
+
+        if (ancestorId === issue._id.toString() || visited.has(ancestorId)) {
+          return "An issue cannot be moved under itself or its own children";
+        }
+
+        visited.add(ancestorId);
+        ancestor = ancestor.parent
+          ? await Issue.findById(ancestor.parent)
+          : null;
+      }
+    }
+  }
+
+  // Existing children must still be allowed under the new type
+  if (issue && issue.type !== type) {
+    const children = await Issue.find({ parent: issue._id }, "key type");
+    const invalidChild = children.find(
+      (child) => !canBeParentOf(type, child.type)
+    );
+
+    if (invalidChild) {
+      return `Cannot change type to ${type} while ${invalidChild.key} (${invalidChild.type}) is a child of this issue`;
+    }
+  }
+
+  return null;
+};
+
+// Ids of every issue below the given one, children first level by level
+export const getDescendantIds = async (issueId) => {
+  const descendants = [];
+  let frontier = [issueId];
+
+  while (frontier.length > 0) {
+    const children = await Issue.find({ parent: { $in: frontier } }, "_id");
+    frontier = children.map((child) => child._id);
+    descendants.push(...frontier);
+  }
+
+  return descendants;
+};
@@ -0,0 +1,130 @@
+import IssueLink from "../models/IssueLink.js";
+import Project from "../models/Project.js";
+import { getWorkflow, getStatusCategory } from "./workflow.js";
+
+// Outward and inward labels of every stored link type
+const LINK_LABELS = {
+  blocks: { outward: "blocks", inward: "is blocked by" },
+  duplicates: { outward: "duplicates", inward: "is duplicated by" },
+  relates: { outward: "relates to", inward: "relates to" },
+  clones: { outward: "clones", inward: "is cloned by" },
+};
+
+// Map a link type sent by a client onto the stored type. Inverse types swap
+// the direction. Returns null for unknown types.
+export const normalizeLinkType = (type) => {
+  const value = String(type || "")
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+
+  const types = {
+    blocks: { type: "blocks", inverse: false },
+    is_blocked_by: { type: "blocks", inverse: true },
+    duplicates: { type: "duplicates", inverse: false },
+    is_duplicated_by: { type: "duplicates", inverse: true },
+    relates: { type: "relates", inverse: false },
+    relates_to: { type: "relates", inverse: false },
+    clones: { type: "clones", inverse: false },
+    is_cloned_by: { type: "clones", inverse: true },
+  };
+
+  return types[value] || null;
+};
+
+// Would "source blocks target" close a loop? True when target already blocks
+// source, directly or through other issues.
+export const createsBlockCycle = async (sourceId, targetId) => {
+  const source = sourceId.toString();
+  const visited = new Set();
+  let frontier = [targetId];
+
+  if (source === targetId.toString()) return true;
+
+  while (frontier.length > 0) {
+    const links = await IssueLink.find(
+      { type: "blocks", source: { $in: frontier } },
+      "target"
+    );
+
+    frontier = [];
+
+    for (const link of links) {
+      const id = link.target.toString();
+
+      if (id === source) return true;
+
+      if (!visited.has(id)) {
+        visited.add(id);
+        frontier.push(link.target);
+      }
+    }
+  }
+
+  return false;
+};
+
+// Issues blocking the given one that are not done in their own workflow
+export const getOpenBlockers = async (issueId) => {
+  const links = await IssueLink.find({
+    type: "blocks",
+    target: issueId,
+  }).populate("source", "key title status projectId");
+
+  const blockers = links.map((link) => link.source).filter(Boolean);
+  const projects = await Project.find({
+    _id: { $in: blockers.map((blocker) => blocker.projectId) },
+  });
+
+  return blockers.filter((blocker) => {
+    const project = projects.find(
+      (p) => p._id.toString() === blocker.projectId.toString()
+    );
+
+    return getStatusCategory(getWorkflow(project), blocker.status) !== "done";
+  });
+};
+
+// Links of an issue in both directions, labelled from its point of view.
+// Linked issues in projects the viewer is not a member of are reduced to
+// their id so their key, title and status do not leak.
+export const listIssueLinks = async (issueId, viewerId) => {
+  const links = await IssueLink.find({
+    $or: [{ source: issueId }, { target: issueId }],
+  })
+    .populate("source", "key title status projectId")
+    .populate("target", "key title status projectId")
+    .sort({ createdAt: 1 });
+
+  const resolved = links
+    .filter((link) => link.source && link.target)
+    .map((link) => {
+      const isOutward = link.source._id.toString() === issueId.toString();
+      return { link, isOutward, other: isOutward ? link.target : link.source };
+    });
+
+  const visibleProjects = await Project.find(
+    {
+      _id: { $in: resolved.map(({ other }) => other.projectId) },
+      "member.user": viewerId,
+    },
+    "_id"
+  );
+  const visibleProjectIds = new Set(
+    visibleProjects.map((project) => project._id.toString())
+  );
+
+  return resolved.map(({ link, isOutward, other }) => ({
+    _id: link._id,
+    type: link.type,
+    direction: isOutward ? "outward" : "inward",
+    label: LINK_LABELS[link.type][isOutward ? "outward" : "inward"],
+    issue: visibleProjectIds.has(other.projectId.toString())
+      ? {
+          _id: other._id,
+          key: other.key,
+          title: other.title,
+          status: other.status,
+        }
+      : { _id: other._id, restricted: true },
+  }));
+};
@@ -0,0 +1,581 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Project from "../models/Project.js";
+
+// A small query language for issues, e.g.
+//   status in (todo, inprogress) AND assignee = me AND due < now+7d
+//   NOT tags ~ "ui" OR priority > medium ORDER BY updated DESC
+//
+// Queries are parsed into a syntax tree and compiled field by field into a
+// Mongo filter. Only whitelisted fields and operators are accepted, every
+// value is cast to its field's type and regular expressions are escaped, so
+// user input is never passed through to Mongo as-is.
+
+const MAX_QUERY_LENGTH = 1000;
+const MAX_CLAUSES = 50;
+const MAX_DEPTH = 10;
+
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+const FIELDS = {
+  status: { kind: "string", path: "status" },
+  priority: { kind: "priority", path: "priority" },
+  assignee: { kind: "user", path: "assignee" },
+  reporter: { kind: "user", path: "reporter" },
+  tags: { kind: "tags", path: "tags" },
+  duedate: { kind: "date", path: "dueDate" },
+  created: { kind: "date", path: "createdAt" },
+  updated: { kind: "date", path: "updatedAt" },
+  text: { kind: "text", path: null },
+};
+
+const FIELD_ALIASES = {
+  due: "duedate",
+  tag: "tags",
+  createdat: "created",
+  updatedat: "updated",
+};
+
+const OPERATORS = {
+  string: ["=", "!=", "in", "not in"],
+  priority: ["=", "!=", "in", "not in", "<", ">", "<=", ">="],
+  user: ["=", "!=", "in", "not in"],
+  tags: ["=", "!=", "in", "not in", "~"],
+  date: ["=", "!=", "<", ">", "<=", ">="],
+  text: ["~"],
+};
+
+const SORT_FIELDS = {
+  created: "createdAt",
+  updated: "updatedAt",
+  duedate: "dueDate",
+  due: "dueDate",
+  status: "status",
+  title: "title",
+};
+
+const KEYWORDS = ["and", "or", "not", "in", "order", "by", "asc", "desc"];
+
+const DAY = 24 * 60 * 60 * 1000;
+const UNIT_MS = { h: 60 * 60 * 1000, d: DAY, w: 7 * DAY };
+
+export const escapeRegex = (value) =>
+  value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === "(" || char === ")" || char === ",") {
+      tokens.push({ type: char, position: i });
+      i++;
+      continue;
+    }
+
+    const twoChars = input.slice(i, i + 2);
+    if (["!=", "<=", ">="].includes(twoChars)) {
+      tokens.push({ type: "op", value: twoChars, position: i });
+      i += 2;
+      continue;
+    }
+
+    if (["=", "<", ">", "~"].includes(char)) {
+      tokens.push({ type: "op", value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = "";
+      let j = i + 1;
+
+      while (j < input.length && input[j] !== char) {
+        if (input[j] === "\\" && j + 1 < input.length) j++;
+        value += input[j];
+        j++;
+      }
+
+      if (j >= input.length) {
+        throw new Error(`Unterminated string starting at position ${i}`);
+      }
+
+      tokens.push({ type: "string", value, position: i });
+      i = j + 1;
+      continue;
+    }
+
+    const match = /^[A-Za-z0-9_.@+\-:]+/.exec(input.slice(i));
+
+    if (!match) {
+      throw new Error(`Unexpected character "${char}" at position ${i}`);
+    }
+
+    const word = match[0];
+    const lower = word.toLowerCase();
+
+    tokens.push(
+      KEYWORDS.includes(lower)
+        ? { type: "keyword", value: lower, position: i }
+        : { type: "word", value: word, position: i }
+    );
+    i += word.length;
+  }
+
+  return tokens;
+};
+
+// ---------------------------------------------------------------------------
+// Parser
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.clauses = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(value) {
+    const token = this.peek();
+    return token?.type === "keyword" && token.value === value;
+  }
+
+  expect(type, value) {
+    const token = this.next();
+
+    if (!token || token.type !== type || (value && token.value !== value)) {
+      const expected = value || type;
+      throw new Error(
+        token
+          ? `Expected ${expected} at position ${token.position}`
+          : `Expected ${expected} at end of query`
+      );
+    }
+
+    return token;
+  }
+
+  parseQuery() {
+    let where = null;
+
+    if (this.peek() && !this.isKeyword("order")) {
+      where = this.parseOr(0);
+    }
+
+    const orderBy = [];
+
+    if (this.isKeyword("order")) {
+      this.next();
+      this.expect("keyword", "by");
+
+      for (;;) {
+        const field = this.expect("word").value.toLowerCase();
+
+        if (!Object.hasOwn(SORT_FIELDS, field)) {
+          throw new Error(
+            `Cannot order by "${field}". Allowed: ${Object.keys(
+              SORT_FIELDS
+            ).join(", ")}`
+          );
+        }
+
+        let direction = "asc";
+        if (this.isKeyword("asc") || this.isKeyword("desc")) {
+          direction = this.next().value;
+        }
+
+        orderBy.push({ field, direction });
+
+        if (this.peek()?.type !== ",") break;
+        this.next();
+      }
+    }
+
+    const rest = this.peek();
+    if (rest) {
+      throw new Error(
+        `Unexpected "${rest.value || rest.type}" at position ${rest.position}`
+      );
+    }
+
+    return { where, orderBy };
+  }
+
+  parseOr(depth) {
+    const nodes = [this.parseAnd(depth)];
+
+    while (this.isKeyword("or")) {
+      this.next();
+      nodes.push(this.parseAnd(depth));
+    }
+
+    return nodes.length === 1 ? nodes[0] : { type: "or", nodes };
+  }
+
+  parseAnd(depth) {
+    const nodes = [this.parseNot(depth)];
+
+    while (this.isKeyword("and")) {
+      this.next();
+      nodes.push(this.parseNot(depth));
+    }
+
+    return nodes.length === 1 ? nodes[0] : { type: "and", nodes };
+  }
+
+  parseNot(depth) {
+    if (this.isKeyword("not")) {
+      this.next();
+      return { type: "not", node: this.parseNot(depth) };
+    }
+
+    return this.parsePrimary(depth);
+  }
+
+  parsePrimary(depth) {
+    if (this.peek()?.type === "(") {
+      if (depth >= MAX_DEPTH) {
+        throw new Error("Query is nested too deeply");
+      }
+
+      this.next();
+      const node = this.parseOr(depth + 1);
+      this.expect(")");
+      return node;
+    }
+
+    return this.parseClause();
+  }
+
+  parseClause() {
+    const fieldToken = this.expect("word");
+    const name = fieldToken.value.toLowerCase();
+    const field = Object.hasOwn(FIELD_ALIASES, name)
+      ? FIELD_ALIASES[name]
+      : name;
+
+    if (!Object.hasOwn(FIELDS, field)) {
+      throw new Error(
+        `Unknown field "${fieldToken.value}". Allowed: status, priority, assignee, reporter, tags, dueDate, created, updated, text`
+      );
+    }
+
+    if (++this.clauses > MAX_CLAUSES) {
+      throw new Error(`Query has more than ${MAX_CLAUSES} conditions`);
+    }
+
+    let operator;
+
+    if (this.isKeyword("in")) {
+      this.next();
+      operator = "in";
+    } else if (this.isKeyword("not")) {
+      this.next();
+      this.expect("keyword", "in");
+      operator = "not in";
+    } else {
+      operator = this.expect("op").value;
+    }
+
+    if (!OPERATORS[FIELDS[field].kind].includes(operator)) {
+      throw new Error(
+        `Operator "${operator}" is not supported for ${fieldToken.value}`
+      );
+    }
+
+    let values;
+
+    if (operator === "in" || operator === "not in") {
+      this.expect("(");
+      values = [this.parseValue()];
+
+      while (this.peek()?.type === ",") {
+        this.next();
+        values.push(this.parseValue());
+      }
+
+      this.expect(")");
+    } else {
+      values = [this.parseValue()];
+    }
+
+    return { type: "clause", field, operator, values };
+  }
+
+  parseValue() {
+    const token = this.next();
+
+    if (!token || (token.type !== "word" && token.type !== "string")) {
+      throw new Error(
+        token
+          ? `Expected a value at position ${token.position}`
+          : "Expected a value at end of query"
+      );
+    }
+
+    return token.value;
+  }
+}
+
+// Parse a query string into { where, orderBy }. Throws on invalid syntax.
+export const parseIssueQuery = (query) => {
+  if (typeof query !== "string") {
+    throw new Error("Query must be a string");
+  }
+
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw new Error(`Query is longer than ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  return new Parser(tokenize(query)).parseQuery();
+};
+
+// ---------------------------------------------------------------------------
+// Compiler
+
+// Resolve "now", "now+7d", "now-2w", "2024-05-01" or an ISO timestamp.
+// Returns { date, dateOnly } where dateOnly marks a whole calendar day.
+const parseDate = (value, now) => {
+  const relative = /^now(?:([+-])(\d+)([hdw]))?$/i.exec(value);
+
+  if (relative) {
+    const [, sign, amount, unit] = relative;
+    const offset = sign
+      ? (sign === "+" ? 1 : -1) * parseInt(amount) * UNIT_MS[unit.toLowerCase()]
+      : 0;
+    return { date: new Date(now.getTime() + offset), dateOnly: false };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = new Date(`${value}T00:00:00.000Z`);
+    if (!isNaN(date)) return { date, dateOnly: true };
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:\d{2})?$/.test(value)) {
+    const date = new Date(value);
+    if (!isNaN(date)) return { date, dateOnly: false };
+  }
+
+  throw new Error(
+    `Invalid date "${value}". Use YYYY-MM-DD, an ISO timestamp or now+/-N(h|d|w)`
+  );
+};
+
+const compileDateClause = (path, operator, value, now) => {
+  if (["empty", "none", "null"].includes(value.toLowerCase())) {
+    if (operator === "=") return { [path]: null };
+    if (operator === "!=") return { [path]: { $ne: null } };
+    throw new Error(`Operator "${operator}" cannot compare with empty`);
+  }
+
+  const { date, dateOnly } = parseDate(value, now);
+  const end = dateOnly ? new Date(date.getTime() + DAY) : date;
+
+  switch (operator) {
+    case "=":
+      return dateOnly ? { [path]: { $gte: date, $lt: end } } : { [path]: date };
+    case "!=":
+      return dateOnly
+        ? { $or: [{ [path]: { $lt: date } }, { [path]: { $gte: end } }] }
+        : { [path]: { $ne: date } };
+    case "<":
+      return { [path]: { $lt: date } };
+    case "<=":
+      return { [path]: dateOnly ? { $lt: end } : { $lte: date } };
+    case ">":
+      return { [path]: dateOnly ? { $gte: end } : { $gt: date } };
+    case ">=":
+      return { [path]: { $gte: date } };
+    default:
+      throw new Error(`Unsupported operator "${operator}"`);
+  }
+};
+
+// Matches no user, for values that don't resolve to anyone
+const NO_USER_ID = new mongoose.Types.ObjectId("000000000000000000000000");
+
+// Users who share a project with the one running the query. Only these can be
+// looked up by email, so queries can't reveal who else is registered.
+const getVisibleUserIds = (context) => {
+  if (!context.visibleUserIds) {
+    context.visibleUserIds = Project.distinct("member.user", {
+      "member.user": context.userId,
+    });
+  }
+  return context.visibleUserIds;
+};
+
+const resolveUser = async (value, context) => {
+  const lower = value.toLowerCase();
+
+  if (lower === "me" || lower === "currentuser") {
+    return new mongoose.Types.ObjectId(String(context.userId));
+  }
+
+  if (["none", "empty", "unassigned", "null"].includes(lower)) {
+    return null;
+  }
+
+  if (mongoose.isValidObjectId(value) && /^[a-f0-9]{24}$/i.test(value)) {
+    return new mongoose.Types.ObjectId(value);
+  }
+
+  if (value.includes("@")) {
+    const user = await User.findOne(
+      {
+        _id: { $in: await getVisibleUserIds(context) },
+        email: { $regex: `^${escapeRegex(value)}$`, $options: "i" },
+      },
+      "_id"
+    );
+    if (user) return user._id;
+  }
+
+  return NO_USER_ID;
+};
+
+const toEquality = (path, operator, values) => {
+  switch (operator) {
+    case "=":
+      return { [path]: values[0] };
+    case "!=":
+      return { [path]: { $ne: values[0] } };
+    case "in":
+      return { [path]: { $in: values } };
+    case "not in":
+      return { [path]: { $nin: values } };
+    default:
+      throw new Error(`Unsupported operator "${operator}"`);
+  }
+};
+
+const compileClause = async ({ field, operator, values }, context) => {
+  const { kind, path } = FIELDS[field];
+
+  switch (kind) {
+    case "string":
+      return toEquality(
+        path,
+        operator,
+        values.map((value) => value.toLowerCase())
+      );
+
+    case "priority": {
+      const priorities = values.map((value) => value.toLowerCase());
+      const invalid = priorities.find((value) => !PRIORITIES.includes(value));
+
+      if (invalid) {
+        throw new Error(
+          `Invalid priority "${invalid}". Allowed: ${PRIORITIES.join(", ")}`
+        );
+      }
+
+      // Priorities are ordered, so < and > select a range of levels
+      if (["<", ">", "<=", ">="].includes(operator)) {
+        const rank = PRIORITIES.indexOf(priorities[0]);
+        const selected = PRIORITIES.filter((_, index) =>
+          operator === "<"
+            ? index < rank
+            : operator === "<="
+            ? index <= rank
+            : operator === ">"
+            ? index > rank
+            : index >= rank
+        );
+        return { [path]: { $in: selected } };
+      }
+
+      return toEquality(path, operator, priorities);
+    }
+
+    case "user": {
+      const users = [];
+      for (const value of values) {
+        users.push(await resolveUser(value, context));
+      }
+      return toEquality(path, operator, users);
+    }
+
+    case "tags":
+      if (operator === "~") {
+        return {
+          [path]: { $regex: escapeRegex(values[0]), $options: "i" },
+        };
+      }
+      return toEquality(path, operator, values);
+
+    case "date":
+      return compileDateClause(path, operator, values[0], context.now);
+
+    case "text": {
+      const pattern = { $regex: escapeRegex(values[0]), $options: "i" };
+      return {
+        $or: [{ title: pattern }, { description: pattern }, { key: pattern }],
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported field "${field}"`);
+  }
+};
+
+const compileNode = async (node, context) => {
+  switch (node.type) {
+    case "and":
+      return {
+        $and: await Promise.all(
+          node.nodes.map((child) => compileNode(child, context))
+        ),
+      };
+    case "or":
+      return {
+        $or: await Promise.all(
+          node.nodes.map((child) => compileNode(child, context))
+        ),
+      };
+    case "not":
+      return { $nor: [await compileNode(node.node, context)] };
+    default:
+      return compileClause(node, context);
+  }
+};
+
+// Compile a query string into { filter, sort } for Issue.find(). `sort` is
+// null when the query has no ORDER BY. Throws with a readable message when
+// the query is invalid.
+export const compileIssueQuery = async (
+  query,
+  { userId, now = new Date() }
+) => {
+  const { where, orderBy } = parseIssueQuery(query);
+
+  const filter = where ? await compileNode(where, { userId, now }) : {};
+
+  let sort = null;
+  if (orderBy.length > 0) {
+    sort = {};
+    orderBy.forEach(({ field, direction }) => {
+      sort[SORT_FIELDS[field]] = direction === "desc" ? -1 : 1;
+    });
+  }
+
+  return { filter, sort };
+};
@@ -0,0 +1,28 @@
+import Issue from "../models/Issue.js";
+import Comment from "../models/Comment.js";
+import IssueActivity from "../models/IssueActivity.js";
+import IssueLink from "../models/IssueLink.js";
+import Notification from "../models/Notification.js";
+import { deleteIssueAttachments } from "./issueAttachments.js";
+
+// Delete issues together with their comments, history and attachments
+export const removeIssues = async (issueIds) => {
+  // Delete the attachments of these issues and their comments, with their
+  // stored files. Runs first because it looks the comments up.
+  await deleteIssueAttachments(issueIds);
+
+  // Delete all comments associated with these issues
+  await Comment.deleteMany({ issueId: { $in: issueIds } });
+
+  // Delete the issue history
+  await IssueActivity.deleteMany({ issueId: { $in: issueIds } });
+
+  // Delete links from or to these issues
+  await IssueLink.deleteMany({
+    $or: [{ source: { $in: issueIds } }, { target: { $in: issueIds } }],
+  });
+
+  await Notification.deleteMany({ issueId: { $in: issueIds } });
+
+  await Issue.deleteMany({ _id: { $in: issueIds } });
+};
@@ -0,0 +1,83 @@
+import User from "../models/User.js";
+import { notify } from "./notifications.js";
+
+// "@jane.doe@example.com" or "@janedoe". The mention must start the text or
+// follow a character that cannot be part of an email, so "bob@example.com"
+// on its own is not treated as a mention of "example.com".
+const MENTION_PATTERN = /(^|[^\w.@])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+|[\w.-]*\w)/g;
+
+// Names are matched without spaces and case-insensitively ("@JaneDoe")
+const toMentionName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/\s+/g, "");
+
+// Unique mention tokens found in a piece of text, without the leading "@"
+export const extractMentions = (text) => {
+  const tokens = new Set();
+
+  for (const match of String(text || "").matchAll(MENTION_PATTERN)) {
+    tokens.add(match[2]);
+  }
+
+  return [...tokens];
+};
+
+// Resolve the mentions in a text against the members of a project. Returns
+// the ids of the mentioned members and the tokens that did not match exactly
+// one member.
+export const resolveMentions = async (text, project) => {
+  const tokens = extractMentions(text);
+
+  if (tokens.length === 0) {
+    return { mentions: [], unresolved: [] };
+  }
+
+  const memberIds = [
+    project.owner,
+    ...project.member.map((member) => member.user),
+  ].map((id) => (id?._id || id).toString());
+
+  const users = await User.find({ _id: { $in: memberIds } }, "name email");
+
+  const mentions = new Set();
+  const unresolved = [];
+
+  for (const token of tokens) {
+    const value = token.toLowerCase();
+    const matches = token.includes("@")
+      ? users.filter((user) => user.email.toLowerCase() === value)
+      : users.filter((user) => toMentionName(user.name) === value);
+
+    if (matches.length === 1) {
+      mentions.add(matches[0]._id.toString());
+    } else {
+      unresolved.push(`@${token}`);
+    }
+  }
+
+  return { mentions: [...mentions], unresolved };
+};
+
+// Notify users mentioned in a comment or issue that were not mentioned there
+// before, so editing the text does not notify the same people again
+export const notifyNewMentions = async ({
+  mentions,
+  previousMentions = [],
+  actor,
+  issue,
+  message,
+}) => {
+  const previous = previousMentions.map((id) => id.toString());
+  const newMentions = mentions.filter((id) => !previous.includes(id));
+
+  if (newMentions.length === 0) return;
+
+  await notify({
+    recipients: newMentions,
+    actor,
+    type: "mentioned",
+    issue,
+    message,
+  });
+};
@@ -0,0 +1,138 @@
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import Project from "../models/Project.js";
+
+// User.notificationPreferences flag that controls each notification type
+export const PREFERENCE_BY_TYPE = {
+  issue_assigned: "assigned",
+  issue_updated: "issueUpdates",
+  status_changed: "statusChanges",
+  comment_added: "comments",
+  mentioned: "mentions",
+  project_invited: "projectUpdates",
+  member_joined: "projectUpdates",
+  member_removed: "projectUpdates",
+  role_changed: "projectUpdates",
+};
+
+const toId = (value) => (value?._id || value)?.toString();
+
+// Drop the recipients that turned this type of notification off
+const filterByPreference = async (recipientIds, type) => {
+  if (recipientIds.length === 0) return recipientIds;
+
+  const optedOut = await User.find(
+    {
+      _id: { $in: recipientIds },
+      [`notificationPreferences.${PREFERENCE_BY_TYPE[type]}`]: false,
+    },
+    "_id"
+  );
+  const optedOutIds = optedOut.map((user) => user._id.toString());
+
+  return recipientIds.filter((id) => !optedOutIds.includes(id));
+};
+
+// Create or bump a notification for each recipient. While a recipient has
+// not read a notification of the same type for the same issue (or project),
+// new events are folded into it instead of creating another entry. The actor
+// is never notified about their own changes, recipients that turned the type
+// off are skipped, and failures are only logged so notifications never break
+// the request that triggered them.
+export const notify = async ({
+  recipients,
+  actor,
+  type,
+  issue = null,
+  project = null,
+  message,
+}) => {
+  const actorId = toId(actor);
+  const recipientIds = [
+    ...new Set(recipients.filter(Boolean).map((recipient) => toId(recipient))),
+  ].filter((recipientId) => recipientId !== actorId);
+
+  const issueId = issue ? toId(issue) : null;
+  const projectId = toId(project || issue?.projectId) || null;
+
+  try {
+    const allowedIds = await filterByPreference(recipientIds, type);
+
+    await Promise.all(
+      allowedIds.map((recipient) =>
+        Notification.findOneAndUpdate(
+          { recipient, type, issueId, projectId, read: false },
+          {
+            $set: { actor: actorId || null, message },
+            $inc: { count: 1 },
+          },
+          { upsert: true, setDefaultsOnInsert: true }
+        )
+      )
+    );
+  } catch (error) {
+    console.error("Failed to create notifications:", error);
+  }
+};
+
+// Watchers of the issue that are still members of its project. Removed
+// members stay in the watcher lists, so they are filtered out here.
+export const getWatchingMembers = async (issue) => {
+  const project = issue.projectId?.isMember
+    ? issue.projectId
+    : await Project.findById(toId(issue.projectId), "owner member");
+
+  if (!project) return [];
+
+  return (issue.watchers || [])
+    .map((watcher) => toId(watcher))
+    .filter((watcher) => project.isMember(watcher));
+};
+
+// Fan changes recorded by recordIssueChanges out to the issue's watchers.
+// The new assignee gets an assignment notification instead of a generic
+// update, and status changes group separately from other edits.
+export const notifyIssueChanges = async (issue, actor, changes) => {
+  if (changes.length === 0) return;
+
+  const assignee = toId(issue.assignee);
+  const watchers = await getWatchingMembers(issue);
+
+  const assigneeChange = changes.find((change) => change.field === "assignee");
+  const statusChange = changes.find((change) => change.field === "status");
+  const otherChanges = changes.filter((change) => change !== statusChange);
+
+  if (assigneeChange && assignee) {
+    await notify({
+      recipients: [assignee],
+      actor,
+      type: "issue_assigned",
+      issue,
+      message: `${issue.key} "${issue.title}" was assigned to you`,
+    });
+  }
+
+  if (statusChange) {
+    await notify({
+      recipients: watchers,
+      actor,
+      type: "status_changed",
+      issue,
+      message: `${issue.key} moved from ${statusChange.oldValue} to ${statusChange.newValue}`,
+    });
+  }
+
+  if (otherChanges.length > 0) {
+    await notify({
+      recipients: assigneeChange
+        ? watchers.filter((watcher) => watcher !== assignee)
+        : watchers,
+      actor,
+      type: "issue_updated",
+      issue,
+      message: `${issue.key} was updated (${otherChanges
+        .map((change) => change.field)
+        .join(", ")})`,
+    });
+  }
+};
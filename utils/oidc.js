@@ -0,0 +1,223 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+// OpenID Connect client for single sign-on (authorization code flow with
+// PKCE). Provider metadata and signing keys are fetched from the issuer and
+// cached.
+
+const ROLES_BY_PRIORITY = ["admin", "manager", "developer", "viewer"];
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+let metadataCache = null;
+let jwksCache = null;
+
+// Read lazily: index.js loads .env after the imports are evaluated. Returns
+// null when single sign-on is not configured.
+export const getOidcConfig = () => {
+  const {
+    OIDC_ISSUER,
+    OIDC_CLIENT_ID,
+    OIDC_CLIENT_SECRET,
+    OIDC_REDIRECT_URI,
+    OIDC_SCOPES,
+    OIDC_GROUPS_CLAIM,
+    OIDC_ROLE_MAPPING,
+    OIDC_DEFAULT_ROLE,
+  } = process.env;
+
+  if (!OIDC_ISSUER || !OIDC_CLIENT_ID || !OIDC_REDIRECT_URI) return null;
+
+  return {
+    issuer: OIDC_ISSUER.replace(/\/$/, ""),
+    clientId: OIDC_CLIENT_ID,
+    clientSecret: OIDC_CLIENT_SECRET,
+    redirectUri: OIDC_REDIRECT_URI,
+    scopes: OIDC_SCOPES || "openid email profile",
+    groupsClaim: OIDC_GROUPS_CLAIM || "groups",
+    roleMapping: parseRoleMapping(OIDC_ROLE_MAPPING),
+    defaultRole: OIDC_DEFAULT_ROLE || "developer",
+  };
+};
+
+// "engineering-leads:manager,it-admins:admin" -> { group: role }
+const parseRoleMapping = (value) => {
+  if (!value) return null;
+
+  const mapping = {};
+
+  for (const entry of value.split(",")) {
+    const separator = entry.lastIndexOf(":");
+    const group = entry.slice(0, separator).trim();
+    const role = entry.slice(separator + 1).trim();
+
+    if (separator === -1 || !group || !ROLES_BY_PRIORITY.includes(role)) {
+      throw new Error(`Invalid OIDC_ROLE_MAPPING entry "${entry}"`);
+    }
+
+    mapping[group] = role;
+  }
+
+  return mapping;
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    throw new Error(
+      `Identity provider request failed (${response.status}): ${
+        body?.error_description || body?.error || response.statusText
+      }`
+    );
+  }
+
+  return body;
+};
+
+const getProviderMetadata = async (config) => {
+  if (
+    metadataCache &&
+    metadataCache.issuer === config.issuer &&
+    Date.now() - metadataCache.loadedAt < METADATA_CACHE_MS
+  ) {
+    return metadataCache.metadata;
+  }
+
+  const metadata = await fetchJson(
+    `${config.issuer}/.well-known/openid-configuration`
+  );
+
+  if (metadata.issuer?.replace(/\/$/, "") !== config.issuer) {
+    throw new Error("Identity provider metadata has a different issuer");
+  }
+
+  metadataCache = { issuer: config.issuer, metadata, loadedAt: Date.now() };
+  return metadata;
+};
+
+// Signing key for a kid. The key set is fetched again when the kid is
+// unknown, which is how providers roll their keys.
+const getSigningKey = async (metadata, kid) => {
+  const findKey = () =>
+    jwksCache?.uri === metadata.jwks_uri
+      ? jwksCache.keys.find((key) => !kid || key.kid === kid)
+      : null;
+
+  let jwk = findKey();
+
+  if (!jwk) {
+    const { keys } = await fetchJson(metadata.jwks_uri);
+    jwksCache = { uri: metadata.jwks_uri, keys: keys || [] };
+    jwk = findKey();
+  }
+
+  if (!jwk) {
+    throw new Error("No matching signing key from the identity provider");
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+// A new state, nonce and PKCE verifier for one login attempt
+export const createLoginParams = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(24)),
+    nonce: base64url(crypto.randomBytes(24)),
+    codeVerifier,
+    codeChallenge: base64url(
+      crypto.createHash("sha256").update(codeVerifier).digest()
+    ),
+  };
+};
+
+export const getAuthorizationUrl = async (
+  config,
+  { state, nonce, codeChallenge }
+) => {
+  const metadata = await getProviderMetadata(config);
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return url.toString();
+};
+
+// Exchange an authorization code and return the verified ID token claims
+export const exchangeCode = async (config, { code, codeVerifier, nonce }) => {
+  const metadata = await getProviderMetadata(config);
+
+  const params = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (config.clientSecret) params.set("client_secret", config.clientSecret);
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: params.toString(),
+  });
+
+  if (!tokens.id_token) {
+    throw new Error("Identity provider did not return an ID token");
+  }
+
+  const decoded = jwt.decode(tokens.id_token, { complete: true });
+  if (!decoded) throw new Error("Malformed ID token");
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ["RS256", "ES256"],
+    issuer: metadata.issuer,
+    audience: config.clientId,
+    clockTolerance: 60,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce does not match");
+  }
+
+  if (Array.isArray(claims.aud) && claims.aud.length > 1) {
+    if (claims.azp !== config.clientId) {
+      throw new Error("ID token was issued to another client");
+    }
+  }
+
+  return claims;
+};
+
+// The highest role any of the user's groups maps to. Returns null when no
+// mapping is configured, so roles are then managed in this app only.
+export const getRoleFromClaims = (config, claims) => {
+  if (!config.roleMapping) return null;
+
+  const claim = claims[config.groupsClaim];
+  const groups = Array.isArray(claim) ? claim : claim ? [claim] : [];
+  const roles = groups.map((group) => config.roleMapping[group]);
+
+  return (
+    ROLES_BY_PRIORITY.find((role) => roles.includes(role)) || config.defaultRole
+  );
+};
@@ -0,0 +1,207 @@
+// Server-sent event channels, one per project. Each channel keeps its recent
+// events in memory so clients that reconnect with Last-Event-ID receive what
+// they missed. Channels live in this process only: clients of a restarted
+// server (or of a different instance) are told to resync instead.
+
+const BUFFER_SIZE = 500;
+const HEARTBEAT_MS = 25 * 1000;
+
+// A channel without clients is dropped once its last activity is older than
+// this, so only projects someone is watching keep a buffer in memory.
+// Clients that reconnect later are told to resync.
+const REPLAY_WINDOW_MS = 5 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Prefix for event ids so ids from a previous server run are recognised
+const BOOT_ID = Date.now().toString(36);
+
+const channels = new Map();
+let channelCount = 0;
+let lastSweepAt = 0;
+
+const sweepChannels = (now) => {
+  if (now - lastSweepAt < SWEEP_INTERVAL_MS) return;
+  lastSweepAt = now;
+
+  channels.forEach((channel, key) => {
+    if (
+      channel.clients.size === 0 &&
+      now - channel.lastActiveAt > REPLAY_WINDOW_MS
+    ) {
+      channels.delete(key);
+    }
+  });
+};
+
+const getChannel = (projectId) => {
+  const key = projectId.toString();
+  const now = Date.now();
+
+  sweepChannels(now);
+
+  if (!channels.has(key)) {
+    // A recreated channel starts counting again, so its ids get a new
+    // prefix and cannot be mistaken for those of the dropped one
+    channels.set(key, {
+      idPrefix: `${BOOT_ID}.${++channelCount}`,
+      seq: 0,
+      buffer: [],
+      clients: new Set(),
+      lastActiveAt: now,
+    });
+  }
+
+  return channels.get(key);
+};
+
+const writeEvent = (res, { id, event, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Events a client missed since lastEventId, or null when they cannot be
+// replayed and the client has to reload its data
+const getMissedEvents = (channel, lastEventId) => {
+  const [idPrefix, seqValue] = String(lastEventId).split("-");
+  const seq = parseInt(seqValue);
+
+  if (idPrefix !== channel.idPrefix || Number.isNaN(seq) || seq > channel.seq) {
+    return null;
+  }
+
+  const oldest = channel.buffer[0];
+  if (oldest && oldest.seq > seq + 1) return null;
+
+  return channel.buffer.filter((entry) => entry.seq > seq);
+};
+
+// Send an event to every client subscribed to the project
+export const broadcastEvent = (projectId, event, data) => {
+  const channel = getChannel(projectId);
+  channel.seq += 1;
+  channel.lastActiveAt = Date.now();
+
+  const entry = {
+    id: `${channel.idPrefix}-${channel.seq}`,
+    seq: channel.seq,
+    event,
+    data,
+  };
+
+  channel.buffer.push(entry);
+  if (channel.buffer.length > BUFFER_SIZE) channel.buffer.shift();
+
+  channel.clients.forEach((client) => writeEvent(client.res, entry));
+};
+
+// Turn the response into an event stream for the project. Missed events are
+// replayed first when the client sends the id of the last one it saw. The
+// session or personal access token the stream was opened with is recorded so
+// the stream can be closed when it is revoked.
+export const subscribe = ({
+  projectId,
+  userId,
+  sessionId = null,
+  accessTokenId = null,
+  res,
+  lastEventId,
+}) => {
+  const channel = getChannel(projectId);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  if (lastEventId) {
+    const missed = getMissedEvents(channel, lastEventId);
+
+    if (missed) {
+      missed.forEach((entry) => writeEvent(res, entry));
+    } else {
+      writeEvent(res, {
+        event: "resync",
+        data: { reason: "Missed events are no longer available" },
+      });
+    }
+  }
+
+  const client = {
+    userId: userId.toString(),
+    sessionId: sessionId?.toString() || null,
+    accessTokenId: accessTokenId?.toString() || null,
+    res,
+  };
+  channel.clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    channel.clients.delete(client);
+    channel.lastActiveAt = Date.now();
+  });
+};
+
+// Close the streams a user has open for a project, e.g. after removal
+export const disconnectUser = (projectId, userId) => {
+  const channel = channels.get(projectId.toString());
+  if (!channel) return;
+
+  channel.clients.forEach((client) => {
+    if (client.userId === userId.toString()) {
+      channel.clients.delete(client);
+      client.res.end();
+    }
+  });
+};
+
+// Close the streams in every project that match the predicate
+const disconnectClients = (matches) => {
+  channels.forEach((channel) => {
+    channel.clients.forEach((client) => {
+      if (matches(client)) {
+        channel.clients.delete(client);
+        client.res.end();
+      }
+    });
+  });
+};
+
+// Close a user's streams in every project, e.g. when the account is
+// deactivated
+export const disconnectUserEverywhere = (userId) => {
+  disconnectClients((client) => client.userId === userId.toString());
+};
+
+// Close the streams opened with a session, e.g. after logging out
+export const disconnectSession = (sessionId) => {
+  disconnectClients((client) => client.sessionId === sessionId.toString());
+};
+
+// Close the streams a user opened with any session, e.g. when all of them
+// are revoked after a password change
+export const disconnectUserSessions = (userId) => {
+  disconnectClients(
+    (client) => client.userId === userId.toString() && client.sessionId
+  );
+};
+
+// Close the streams opened with a personal access token that was revoked
+export const disconnectAccessToken = (accessTokenId) => {
+  disconnectClients(
+    (client) => client.accessTokenId === accessTokenId.toString()
+  );
+};
+
+// Close every stream of a deleted project
+export const closeChannel = (projectId) => {
+  const channel = channels.get(projectId.toString());
+  if (!channel) return;
+
+  channel.clients.forEach((client) => client.res.end());
+  channels.delete(projectId.toString());
+};
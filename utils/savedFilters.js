@@ -0,0 +1,181 @@
+import Project from "../models/Project.js";
+import Issue from "../models/Issue.js";
+import User from "../models/User.js";
+import SavedFilter from "../models/SavedFilter.js";
+import sendEmail, { escapeHtml } from "./email.js";
+import { compileIssueQuery } from "./issueQuery.js";
+
+const SORT_PATHS = {
+  created: "createdAt",
+  updated: "updatedAt",
+  dueDate: "dueDate",
+  status: "status",
+  title: "title",
+};
+
+const FREQUENCY_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Leeway so an hourly job does not slip a whole hour every day
+const SEND_TOLERANCE_MS = 5 * 60 * 1000;
+
+const MAX_EMAIL_ISSUES = 50;
+
+// Owners see their filters as long as they still belong to the filter's
+// project. Project filters are visible to project members, "members" filters
+// only to the users they are shared with (who must also belong to the
+// project when the filter has one).
+export const canViewFilter = async (savedFilter, userId) => {
+  const id = userId.toString();
+  const ownerId = (savedFilter.owner?._id || savedFilter.owner).toString();
+  const isOwner = ownerId === id;
+
+  if (!isOwner && savedFilter.visibility === "private") return false;
+
+  if (savedFilter.projectId) {
+    const project = await Project.findById(
+      savedFilter.projectId?._id || savedFilter.projectId
+    );
+
+    if (!project || !project.isMember(userId)) return false;
+    if (isOwner || savedFilter.visibility === "project") return true;
+  } else if (isOwner) {
+    return true;
+  } else if (savedFilter.visibility === "project") {
+    return false;
+  }
+
+  return savedFilter.sharedWith.some(
+    (user) => (user?._id || user).toString() === id
+  );
+};
+
+// Mongo filter and sort for running a saved filter as the given user. The
+// results are always limited to projects the user is a member of.
+export const buildSavedFilterQuery = async (savedFilter, userId) => {
+  const { filter, sort } = await compileIssueQuery(savedFilter.query || "", {
+    userId,
+  });
+
+  // A project filter only matches when the user is still in that project
+  const projectIds = (
+    await Project.find(
+      {
+        "member.user": userId,
+        ...(savedFilter.projectId && {
+          _id: savedFilter.projectId?._id || savedFilter.projectId,
+        }),
+      },
+      "_id"
+    )
+  ).map((project) => project._id);
+
+  // ORDER BY in the query wins over the filter's sort settings
+  const field = savedFilter.sort?.field || "created";
+  const direction = savedFilter.sort?.direction === "asc" ? 1 : -1;
+
+  return {
+    filter: { projectId: { $in: projectIds }, $and: [filter] },
+    sort: sort || { [SORT_PATHS[field]]: direction },
+  };
+};
+
+const buildDigestEmail = (savedFilter, issues, total) => {
+  const rows = issues
+    .map(
+      (issue) => `<tr>
+<td>${escapeHtml(issue.key)}</td>
+<td>${escapeHtml(issue.title)}</td>
+<td>${escapeHtml(issue.status)}</td>
+<td>${escapeHtml(issue.priority)}</td>
+<td>${issue.dueDate ? issue.dueDate.toISOString().slice(0, 10) : "-"}</td>
+</tr>`
+    )
+    .join("");
+
+  const more =
+    total > issues.length
+      ? `<p>Showing ${issues.length} of ${total} issues.</p>`
+      : "";
+
+  return `Results of your saved filter "${escapeHtml(
+    savedFilter.name
+  )}":<br><br>
+<table border="1" cellpadding="4" cellspacing="0">
+<tr><th>Key</th><th>Title</th><th>Status</th><th>Priority</th><th>Due</th></tr>
+${rows}
+</table>
+${more}
+<a href="${process.env.FRONTEND_URL}/filters/${
+    savedFilter._id
+  }">Open filter</a>`;
+};
+
+// Email every subscriber whose daily or weekly digest is due. Each send is
+// claimed in the database first so overlapping runs cannot send it twice.
+export const sendFilterSubscriptions = async (now = new Date()) => {
+  const filters = await SavedFilter.find({
+    "subscribers.0": { $exists: true },
+  });
+  let sent = 0;
+
+  for (const savedFilter of filters) {
+    for (const subscriber of savedFilter.subscribers) {
+      const interval = FREQUENCY_MS[subscriber.frequency];
+
+      if (
+        subscriber.lastSentAt &&
+        now - subscriber.lastSentAt < interval - SEND_TOLERANCE_MS
+      ) {
+        continue;
+      }
+
+      try {
+        const user = await User.findById(subscriber.user);
+
+        if (!user || user.deactivatedAt) continue;
+        if (!(await canViewFilter(savedFilter, user._id))) continue;
+
+        const claimed = await SavedFilter.updateOne(
+          {
+            _id: savedFilter._id,
+            subscribers: {
+              $elemMatch: {
+                _id: subscriber._id,
+                lastSentAt: subscriber.lastSentAt || null,
+              },
+            },
+          },
+          { $set: { "subscribers.$.lastSentAt": now } }
+        );
+
+        if (claimed.modifiedCount === 0) continue;
+
+        const { filter, sort } = await buildSavedFilterQuery(
+          savedFilter,
+          user._id
+        );
+        const issues = await Issue.find(filter)
+          .sort(sort)
+          .limit(MAX_EMAIL_ISSUES);
+        const total = await Issue.countDocuments(filter);
+
+        await sendEmail({
+          email: user.email,
+          subject: `${savedFilter.name}: ${total} issue(s)`,
+          html: buildDigestEmail(savedFilter, issues, total),
+        });
+        sent++;
+      } catch (error) {
+        console.error(
+          `Failed to send saved filter ${savedFilter._id} to ${subscriber.user}:`,
+          error
+        );
+      }
+    }
+  }
+
+  return sent;
+};
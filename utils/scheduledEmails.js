@@ -0,0 +1,204 @@
+import Issue from "../models/Issue.js";
+import Project from "../models/Project.js";
+import User from "../models/User.js";
+import JobRun from "../models/JobRun.js";
+import sendEmail, { escapeHtml } from "./email.js";
+import { getWorkflow, getStatusCategory } from "./workflow.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Issues due within this window are listed as "due soon" in the digest
+const DUE_SOON_MS = 48 * HOUR_MS;
+
+// Longest reminder lead time a user can choose
+export const MAX_REMINDER_HOURS = 168;
+
+export const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date and hour of an instant in the given timezone
+const getLocalTime = (now, timezone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-CA", {
+      timeZone: isValidTimezone(timezone) ? timezone : "UTC",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .map((part) => [part.type, part.value])
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour),
+  };
+};
+
+// Issues are populated with their project so the project's workflow decides
+// which statuses count as done
+const isOpen = (issue) =>
+  getStatusCategory(getWorkflow(issue.projectId), issue.status) !== "done";
+
+const issueLink = (issue) =>
+  `<a href="${process.env.FRONTEND_URL}/issues/${issue._id}">${escapeHtml(
+    issue.key
+  )}</a>`;
+
+const buildIssueList = (issues) =>
+  `<ul>
+${issues
+  .map(
+    (issue) =>
+      `<li>${issueLink(issue)} ${escapeHtml(issue.title)} (${escapeHtml(
+        issue.projectId.name
+      )}) - due ${issue.dueDate.toISOString().slice(0, 10)}</li>`
+  )
+  .join("\n")}
+</ul>`;
+
+const buildDigestEmail = (user, overdue, dueSoon) => {
+  let html = `Hi ${escapeHtml(user.name)},<br><br>`;
+
+  if (overdue.length > 0) {
+    html += `<b>Overdue</b>${buildIssueList(overdue)}`;
+  }
+
+  if (dueSoon.length > 0) {
+    html += `<b>Due in the next 48 hours</b>${buildIssueList(dueSoon)}`;
+  }
+
+  return html;
+};
+
+// Claim a unit of work, run it, and release the claim if it fails so the
+// next run can retry it
+const runOnce = async (job, key, work) => {
+  if (!(await JobRun.claim(job, key))) return false;
+
+  try {
+    await work();
+    return true;
+  } catch (error) {
+    await JobRun.deleteOne({ job, key });
+    throw error;
+  }
+};
+
+// Send each user whose digest hour has come in their timezone a list of their
+// open assigned issues that are overdue or due soon, in projects they still
+// belong to. Deactivated accounts get no mail. Runs several times an hour;
+// JobRun makes sure a user gets at most one digest per local day.
+export const sendDailyDigests = async (now = new Date()) => {
+  const users = User.find(
+    {
+      "emailPreferences.digest.enabled": { $ne: false },
+      deactivatedAt: null,
+    },
+    "name email emailPreferences"
+  ).cursor();
+  let sent = 0;
+
+  for await (const user of users) {
+    const { hour, timezone } = user.emailPreferences.digest;
+    const local = getLocalTime(now, timezone);
+
+    if (local.hour !== hour) continue;
+
+    try {
+      // Removed members are not unassigned, so their old issues are skipped
+      const projectIds = await Project.find({
+        "member.user": user._id,
+      }).distinct("_id");
+
+      const issues = await Issue.find({
+        assignee: user._id,
+        projectId: { $in: projectIds },
+        dueDate: { $ne: null, $lte: new Date(now.getTime() + DUE_SOON_MS) },
+      })
+        .populate("projectId", "name key workflow")
+        .sort({ dueDate: 1 });
+
+      const openIssues = issues.filter(isOpen);
+      if (openIssues.length === 0) continue;
+
+      const overdue = openIssues.filter((issue) => issue.dueDate < now);
+      const dueSoon = openIssues.filter((issue) => issue.dueDate >= now);
+
+      const delivered = await runOnce(
+        "daily-digest",
+        `${user._id}:${local.date}`,
+        () =>
+          sendEmail({
+            email: user.email,
+            subject: `Your daily digest: ${overdue.length} overdue, ${dueSoon.length} due soon`,
+            html: buildDigestEmail(user, overdue, dueSoon),
+          })
+      );
+      if (delivered) sent++;
+    } catch (error) {
+      console.error(`Failed to send daily digest to ${user._id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+// Remind assignees about open issues whose due date is within their chosen
+// lead time, unless they were deactivated or have left the project. The reminder is keyed on the due date, so moving the due date
+// produces a new reminder while restarts never repeat one.
+export const sendDueDateReminders = async (now = new Date()) => {
+  const issues = await Issue.find({
+    assignee: { $ne: null },
+    dueDate: {
+      $gt: now,
+      $lte: new Date(now.getTime() + MAX_REMINDER_HOURS * HOUR_MS),
+    },
+  })
+    .populate("projectId", "name key workflow owner member")
+    .populate("assignee", "name email emailPreferences deactivatedAt");
+  let sent = 0;
+
+  for (const issue of issues) {
+    const assignee = issue.assignee;
+    if (!assignee || assignee.deactivatedAt) continue;
+    if (!issue.projectId?.isMember(assignee._id)) continue;
+
+    const { enabled, hoursBefore } = assignee.emailPreferences.dueReminders;
+
+    if (!enabled || !isOpen(issue)) continue;
+    if (issue.dueDate - now > hoursBefore * HOUR_MS) continue;
+
+    try {
+      const delivered = await runOnce(
+        "due-reminder",
+        `${issue._id}:${assignee._id}:${issue.dueDate.toISOString()}`,
+        () =>
+          sendEmail({
+            email: assignee.email,
+            subject: `Reminder: ${issue.key} is due soon`,
+            html: `Hi ${escapeHtml(assignee.name)},<br><br>
+${issueLink(issue)} ${escapeHtml(issue.title)} in ${escapeHtml(
+              issue.projectId.name
+            )} is due on ${issue.dueDate.toISOString()}.`,
+          })
+      );
+      if (delivered) sent++;
+    } catch (error) {
+      console.error(
+        `Failed to send due date reminder for ${issue._id}:`,
+        error
+      );
+    }
+  }
+
+  return sent;
+};
@@ -0,0 +1,135 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Session from "../models/Session.js";
+import PersonalAccessToken from "../models/PersonalAccessToken.js";
+import {
+  disconnectSession,
+  disconnectUserSessions,
+  disconnectAccessToken,
+} from "./realtime.js";
+
+// Read lazily: index.js loads .env after the imports are evaluated
+const getAccessTokenLifetime = () =>
+  process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+const getRefreshTokenDays = () =>
+  parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// Rotated refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+export const generateAccessToken = (userId, sessionId) =>
+  jwt.sign(
+    { id: userId.toString(), sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenLifetime() }
+  );
+
+// Start a session for the device making the request and return its tokens
+export const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.headers["user-agent"] || "",
+    ip: req.ip,
+    expiresAt: new Date(
+      Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000
+    ),
+  });
+
+  return {
+    token: generateAccessToken(userId, session._id),
+    refreshToken,
+  };
+};
+
+// Swap a refresh token for a new access and refresh token pair. Returns null
+// when the token is unknown, expired or revoked. Presenting a token that was
+// already rotated away revokes the whole session.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(String(refreshToken));
+  const newRefreshToken = generateRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        tokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+        userAgent: req.headers["user-agent"] || "",
+        ip: req.ip,
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [tokenHash],
+          $slice: -MAX_PREVIOUS_TOKENS,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHashes: tokenHash, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: "refresh_token_reuse" } }
+    );
+    if (reused) disconnectSession(reused._id);
+    return null;
+  }
+
+  return {
+    userId: session.user,
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: newRefreshToken,
+  };
+};
+
+// Revoking a session also closes the event streams opened with it, since
+// their access token was only checked when they connected
+export const revokeSession = async (sessionId, userId, reason = "logout") => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  if (result.modifiedCount > 0) disconnectSession(sessionId);
+  return result;
+};
+
+export const revokeAllSessions = async (userId, reason = "logout_all") => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  disconnectUserSessions(userId);
+  return result;
+};
+
+// Revoke every personal access token of a user, e.g. when a password reset
+// means the account may have been compromised. Returns how many were
+// revoked. Pass a session to revoke them in a transaction.
+export const revokeAllAccessTokens = async (userId, { session } = {}) => {
+  const tokens = await PersonalAccessToken.find(
+    { user: userId, revokedAt: null },
+    "_id",
+    { session }
+  );
+  if (tokens.length === 0) return 0;
+
+  await PersonalAccessToken.updateMany(
+    { _id: { $in: tokens.map((token) => token._id) }, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { session }
+  );
+
+  tokens.forEach((token) => disconnectAccessToken(token._id));
+  return tokens.length;
+};
@@ -0,0 +1,67 @@
+import cloudinary from "cloudinary";
+import { Readable } from "stream";
+
+// Files are stored as Cloudinary "upload" assets. Their delivery URLs are
+// public, so a signed URL only protects against tampering and never expires.
+
+let configured = false;
+
+// Read lazily: index.js loads .env after the imports are evaluated
+const getClient = () => {
+  if (!configured) {
+    cloudinary.v2.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+    configured = true;
+  }
+
+  return cloudinary.v2;
+};
+
+const cloudinaryStorage = {
+  name: "cloudinary",
+
+  // Cloudinary picks the public id inside the folder, so the key is ignored
+  async upload(filePath) {
+    const result = await getClient().uploader.upload(filePath, {
+      resource_type: "auto", // Automatically detect image/video/raw
+      folder: "project_attachments",
+    });
+
+    return {
+      key: result.public_id,
+      url: result.secure_url,
+      resourceType: result.resource_type,
+    };
+  },
+
+  async delete(key, { resourceType = "image" } = {}) {
+    await getClient().uploader.destroy(key, { resource_type: resourceType });
+  },
+
+  async getSignedUrl(key, { resourceType = "image" } = {}) {
+    return getClient().url(key, {
+      resource_type: resourceType,
+      secure: true,
+      sign_url: true,
+    });
+  },
+
+  async createReadStream(key, options = {}) {
+    const response = await fetch(await this.getSignedUrl(key, options));
+
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed (${response.status})`);
+    }
+
+    return {
+      stream: Readable.fromWeb(response.body),
+      contentLength: parseInt(response.headers.get("content-length")) || null,
+      contentType: response.headers.get("content-type"),
+    };
+  },
+};
+
+export default cloudinaryStorage;
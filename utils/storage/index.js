@@ -0,0 +1,78 @@
+import crypto from "crypto";
+import path from "path";
+import cloudinaryStorage from "./cloudinary.js";
+import localStorage from "./local.js";
+import s3Storage from "./s3.js";
+
+// Attachment storage backends. Every driver implements:
+//   upload(filePath, { key, mimeType }) -> { key, url, resourceType }
+//     Stores the file and returns the key it was stored under (a driver may
+//     choose its own), a permanent public URL or null when it has none, and
+//     the detected resource type when the driver detects one.
+//   delete(key, { resourceType })
+//   getSignedUrl(key, { resourceType, expiresIn }) -> URL readable without
+//     logging in until it expires (seconds)
+//   createReadStream(key, { resourceType }) -> { stream, contentLength,
+//     contentType }
+// resourceType is Cloudinary's "image", "video" or "raw"; other drivers
+// ignore it.
+
+export const STORAGE_DRIVERS = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage,
+  s3: s3Storage,
+};
+
+// Driver new uploads go to (STORAGE_DRIVER, default cloudinary)
+export const getDefaultStorageName = () =>
+  process.env.STORAGE_DRIVER || "cloudinary";
+
+export const getStorage = (name = getDefaultStorageName()) => {
+  const storage = STORAGE_DRIVERS[name];
+
+  if (!storage) {
+    throw new Error(
+      `Unknown storage driver "${name}". Use one of: ${Object.keys(
+        STORAGE_DRIVERS
+      ).join(", ")}`
+    );
+  }
+
+  return storage;
+};
+
+// Storage of an existing attachment; documents from before storage drivers
+// existed are on Cloudinary
+export const getAttachmentStorage = (attachment) =>
+  getStorage(attachment.storage || "cloudinary");
+
+export const getResourceType = (attachment) =>
+  attachment.type === "video"
+    ? "video"
+    : attachment.type === "file"
+    ? "raw"
+    : "image";
+
+// Attachment type from the resource type the driver detected, or else from
+// the MIME type
+export const getAttachmentType = (mimeType, resourceType) =>
+  resourceType
+    ? resourceType === "raw"
+      ? "file"
+      : resourceType
+    : mimeType.startsWith("image/")
+    ? "image"
+    : mimeType.startsWith("video/")
+    ? "video"
+    : "file";
+
+// Unique key for a new file, keeping its extension
+export const createStorageKey = (filename) =>
+  `project_attachments/${new Date().toISOString().slice(0, 7)}/${crypto
+    .randomBytes(16)
+    .toString("hex")}${path.extname(filename || "").toLowerCase()}`;
+
+// API URL of an attachment's content, stored as the attachment url when the
+// driver has no public URL
+export const getAttachmentContentUrl = (attachmentId) =>
+  `${process.env.BACKEND_URL || ""}/api/attachments/${attachmentId}/content`;
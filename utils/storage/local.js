@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+
+// Files are kept under STORAGE_LOCAL_DIR (default ./uploads). Signed URLs
+// point at GET /api/attachments/files/<key>, which checks the signature
+// instead of a login, so they work in <img> tags and downloads.
+
+const getRoot = () => path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+
+const getSigningSecret = () =>
+  process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// Absolute path of a key. Keys come from the database and from signed URLs,
+// so anything resolving outside the storage directory is refused.
+const resolveKey = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, String(key));
+
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error("Invalid storage key");
+  }
+
+  return filePath;
+};
+
+const sign = (key, expires) =>
+  crypto
+    .createHmac("sha256", getSigningSecret())
+    .update(`${key}:${expires}`)
+    .digest("base64url");
+
+// Check the expires and signature query parameters of a signed URL
+export const verifyLocalSignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) * 1000 < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expires));
+  const actual = Buffer.from(String(signature));
+
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+const localStorage = {
+  name: "local",
+
+  async upload(filePath, { key }) {
+    const target = resolveKey(key);
+
+    await fsPromises.mkdir(path.dirname(target), { recursive: true });
+    await fsPromises.copyFile(filePath, target);
+
+    return { key, url: null };
+  },
+
+  async delete(key) {
+    await fsPromises.rm(resolveKey(key), { force: true });
+  },
+
+  async getSignedUrl(key, { expiresIn = 300 } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+
+    return `${
+      process.env.BACKEND_URL || ""
+    }/api/attachments/files/${encodedKey}?expires=${expires}&signature=${sign(
+      key,
+      expires
+    )}`;
+  },
+
+  async createReadStream(key) {
+    const filePath = resolveKey(key);
+    const stats = await fsPromises.stat(filePath);
+
+    return {
+      stream: fs.createReadStream(filePath),
+      contentLength: stats.size,
+      contentType: null,
+    };
+  },
+};
+
+export default localStorage;
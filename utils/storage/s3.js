@@ -0,0 +1,220 @@
+import crypto from "crypto";
+import fsPromises from "fs/promises";
+import { Readable } from "stream";
+
+// Files are stored in an S3 bucket or any S3-compatible service (MinIO,
+// Cloudflare R2, ...). Requests are signed with AWS Signature Version 4.
+// With S3_ENDPOINT set, objects are addressed path-style
+// (<endpoint>/<bucket>/<key>), otherwise on the bucket's AWS host.
+
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+// Read lazily: index.js loads .env after the imports are evaluated
+const getConfig = () => {
+  const {
+    S3_BUCKET,
+    S3_REGION,
+    S3_ENDPOINT,
+    S3_ACCESS_KEY_ID,
+    S3_SECRET_ACCESS_KEY,
+  } = process.env;
+
+  if (!S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) {
+    throw new Error(
+      "S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY"
+    );
+  }
+
+  return {
+    bucket: S3_BUCKET,
+    region: S3_REGION || "us-east-1",
+    endpoint: S3_ENDPOINT?.replace(/\/$/, ""),
+    accessKeyId: S3_ACCESS_KEY_ID,
+    secretAccessKey: S3_SECRET_ACCESS_KEY,
+  };
+};
+
+// RFC 3986 encoding as required by Signature Version 4
+const encode = (value) =>
+  encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const hmac = (key, value) =>
+  crypto.createHmac("sha256", key).update(value).digest();
+
+const getObjectUrl = (config, key) => {
+  const path = key.split("/").map(encode).join("/");
+
+  return config.endpoint
+    ? new URL(`${config.endpoint}/${encode(config.bucket)}/${path}`)
+    : new URL(
+        `https://${config.bucket}.s3.${config.region}.amazonaws.com/${path}`
+      );
+};
+
+// Signature Version 4 of a request. headers must include host and every
+// other header to sign; query parameters are read from the URL.
+const signRequest = (
+  config,
+  { method, url, headers, payloadHash, amzDate }
+) => {
+  const date = amzDate.slice(0, 8);
+  const scope = `${date}/${config.region}/s3/aws4_request`;
+
+  const headerNames = Object.keys(headers)
+    .map((name) => name.toLowerCase())
+    .sort();
+  const lowerHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name.toLowerCase(),
+      String(value).trim(),
+    ])
+  );
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => [encode(name), encode(value)])
+    .sort(([a, av], [b, bv]) => (a === b ? (av < bv ? -1 : 1) : a < b ? -1 : 1))
+    .map(([name, value]) => `${name}=${value}`)
+    .join("&");
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    headerNames.map((name) => `${name}:${lowerHeaders[name]}\n`).join(""),
+    headerNames.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const stringToSign = [
+    "AWS4-HMAC-SHA256",
+    amzDate,
+    scope,
+    sha256(canonicalRequest),
+  ].join("\n");
+
+  const signingKey = ["s3", "aws4_request"].reduce(
+    hmac,
+    hmac(hmac(`AWS4${config.secretAccessKey}`, date), config.region)
+  );
+
+  return {
+    credential: `${config.accessKeyId}/${scope}`,
+    signedHeaders: headerNames.join(";"),
+    signature: crypto
+      .createHmac("sha256", signingKey)
+      .update(stringToSign)
+      .digest("hex"),
+  };
+};
+
+const getAmzDate = (now = new Date()) =>
+  now
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+const sendRequest = async (method, key, { body, contentType } = {}) => {
+  const config = getConfig();
+  const url = getObjectUrl(config, key);
+  const amzDate = getAmzDate();
+  const payloadHash = body ? sha256(body) : sha256("");
+
+  const headers = {
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  if (contentType) headers["content-type"] = contentType;
+
+  const { credential, signedHeaders, signature } = signRequest(config, {
+    method,
+    url,
+    headers,
+    payloadHash,
+    amzDate,
+  });
+
+  const { host, ...requestHeaders } = headers;
+
+  const response = await fetch(url, {
+    method,
+    headers: {
+      ...requestHeaders,
+      Authorization: `AWS4-HMAC-SHA256 Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`,
+    },
+    body,
+  });
+
+  if (!response.ok && !(method === "DELETE" && response.status === 404)) {
+    const text = await response.text().catch(() => "");
+    throw new Error(`S3 ${method} failed (${response.status}): ${text}`);
+  }
+
+  return response;
+};
+
+const s3Storage = {
+  name: "s3",
+
+  // Attachments are at most 25MB, so the file is read into memory to sign
+  // its hash
+  async upload(filePath, { key, mimeType }) {
+    const body = await fsPromises.readFile(filePath);
+    await sendRequest("PUT", key, { body, contentType: mimeType });
+
+    return { key, url: null };
+  },
+
+  async delete(key) {
+    await sendRequest("DELETE", key);
+  },
+
+  async getSignedUrl(key, { expiresIn = 300, now = new Date() } = {}) {
+    const config = getConfig();
+    const url = getObjectUrl(config, key);
+    const amzDate = getAmzDate(now);
+    const date = amzDate.slice(0, 8);
+
+    url.searchParams.set("X-Amz-Algorithm", "AWS4-HMAC-SHA256");
+    url.searchParams.set(
+      "X-Amz-Credential",
+      `${config.accessKeyId}/${date}/${config.region}/s3/aws4_request`
+    );
+    url.searchParams.set("X-Amz-Date", amzDate);
+    url.searchParams.set(
+      "X-Amz-Expires",
+      String(Math.min(expiresIn, MAX_PRESIGN_SECONDS))
+    );
+    url.searchParams.set("X-Amz-SignedHeaders", "host");
+
+    const { signature } = signRequest(config, {
+      method: "GET",
+      url,
+      headers: { host: url.host },
+      payloadHash: UNSIGNED_PAYLOAD,
+      amzDate,
+    });
+
+    url.searchParams.set("X-Amz-Signature", signature);
+    return url.toString();
+  },
+
+  async createReadStream(key) {
+    const response = await sendRequest("GET", key);
+
+    return {
+      stream: Readable.fromWeb(response.body),
+      contentLength: parseInt(response.headers.get("content-length")) || null,
+      contentType: response.headers.get("content-type"),
+    };
+  },
+};
+
+export default s3Storage;
@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import Setting from "../models/Setting.js";
+import User from "../models/User.js";
+import { hashToken } from "./sessions.js";
+import { verifyTotp } from "./totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TOKEN_LIFETIME = "5m";
+
+// The required roles are checked on every authenticated request, so keep them
+// in memory for a short while instead of reading the settings each time
+const POLICY_CACHE_MS = 30 * 1000;
+let policyCache = null;
+
+export const getTwoFactorRequiredRoles = async () => {
+  if (policyCache && Date.now() - policyCache.loadedAt < POLICY_CACHE_MS) {
+    return policyCache.roles;
+  }
+
+  const settings = await Setting.getGlobal();
+  policyCache = {
+    roles: settings.twoFactorRequiredRoles,
+    loadedAt: Date.now(),
+  };
+
+  return policyCache.roles;
+};
+
+export const clearTwoFactorPolicyCache = () => {
+  policyCache = null;
+};
+
+export const isTwoFactorRequired = async (user) =>
+  (await getTwoFactorRequiredRoles()).includes(user.role);
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+
+// New one-time recovery codes ("xxxxx-xxxxx") and the hashes to store
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto
+      .randomBytes(5)
+      .toString("hex")
+      .replace(/^(.{5})/, "$1-")
+  );
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+// Short-lived token proving the password was checked; exchanged for a session
+// at /api/auth/login/2fa together with a code. It has no session id, so
+// protect does not accept it.
+export const createChallengeToken = (userId) =>
+  jwt.sign(
+    { id: userId.toString(), purpose: "2fa_login" },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_LIFETIME }
+  );
+
+// The user id of a valid challenge token, or null
+export const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === "2fa_login" ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check and use up an authenticator code or a recovery code for a user
+// loaded with the twoFactor secret, recoveryCodes and lastUsedStep selected.
+// The code is consumed with a conditional update, so parallel requests with
+// the same code cannot both succeed. The loaded user is updated to match.
+export const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code, {
+      lastUsedStep: user.twoFactor.lastUsedStep,
+    });
+
+    if (step === null) return false;
+
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        "twoFactor.enabled": true,
+        "twoFactor.lastUsedStep": { $not: { $gte: step } },
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+
+    if (modifiedCount === 0) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        "twoFactor.enabled": true,
+        "twoFactor.recoveryCodes": hash,
+      },
+      { $pull: { "twoFactor.recoveryCodes": hash } }
+    );
+
+    if (modifiedCount === 0) return false;
+
+    user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(
+      (recoveryCodeHash) => recoveryCodeHash !== hash
+    );
+    return true;
+  }
+
+  return false;
+};
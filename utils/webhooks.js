@@ -0,0 +1,248 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// How long a delivery stays claimed by the process attempting it
+const ATTEMPT_LEASE_MS = 2 * 60 * 1000;
+
+// Webhooks may not reach the server's own network: loopback, private,
+// shared, link-local (cloud metadata) and unique-local addresses. IPv4-mapped
+// IPv6 addresses are matched against the IPv4 ranges; NAT64 prefixes, which
+// embed an IPv4 address in a way BlockList cannot see, are blocked whole.
+const blockedAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+].forEach(([address, prefix]) =>
+  blockedAddresses.addSubnet(address, prefix, "ipv6")
+);
+
+const BLOCKED_ADDRESS_MESSAGE =
+  "Webhook URL must not point to a private or local address";
+
+// WEBHOOK_ALLOW_PRIVATE_URLS=true turns the checks off for local development
+const allowsPrivateUrls = () =>
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true";
+
+const isBlockedAddress = (address) =>
+  blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+// Resolve the URL's host and throw when any of its addresses is blocked.
+// Used to reject a webhook when it is saved and to refuse IP literals
+// before a delivery; host names are checked again by checkedLookup when the
+// delivery connects.
+export const assertPublicUrl = async (url) => {
+  if (allowsPrivateUrls()) return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(
+        ({ address }) => address
+      );
+    } catch (error) {
+      throw new Error(`Could not resolve webhook host "${host}"`);
+    }
+  }
+
+  if (addresses.some(isBlockedAddress)) {
+    throw new Error(BLOCKED_ADDRESS_MESSAGE);
+  }
+};
+
+// dns.lookup for delivery requests that fails when the host resolves to a
+// blocked address. The socket connects to the address checked here, so a
+// host cannot pass an earlier check and then resolve somewhere else (DNS
+// rebinding).
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (
+      !allowsPrivateUrls() &&
+      addresses.some(({ address }) => isBlockedAddress(address))
+    ) {
+      return callback(new Error(BLOCKED_ADDRESS_MESSAGE));
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+export const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// Receivers recompute this over "<X-Webhook-Timestamp>.<raw body>" with the
+// webhook secret and compare it with X-Webhook-Signature
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+// Delay before the given retry: 1, 2, 4, 8 and 16 minutes
+const getRetryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1);
+
+// POST the delivery and resolve with the response status. Uses http(s)
+// rather than fetch so the connection goes through checkedLookup. Redirects
+// are not followed, since they could point at a blocked address.
+const postPayload = (webhook, delivery) =>
+  new Promise((resolve, reject) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const url = new URL(webhook.url);
+    const client = url.protocol === "https:" ? https : http;
+
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "User-Agent": "Jira-clone-Webhooks",
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Delivery": delivery._id.toString(),
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body),
+        },
+        lookup: checkedLookup,
+        timeout: REQUEST_TIMEOUT_MS,
+      },
+      (response) => {
+        // Only the status matters; drain the body so the socket is freed
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+
+    request.on("timeout", () =>
+      request.destroy(new Error("Webhook request timed out"))
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// Claim a pending delivery that is due and try to send it once. Failed
+// attempts are rescheduled with exponential backoff until MAX_ATTEMPTS is
+// reached. Returns the updated delivery, or null when it was not due or
+// another process claimed it first.
+export const attemptDelivery = async (deliveryId, now = new Date()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: "pending", nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + ATTEMPT_LEASE_MS) } },
+    { new: true }
+  );
+
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhookId).select("+secret");
+  const attempts = delivery.attempts + 1;
+
+  delivery.attempts = attempts;
+  delivery.lastAttemptAt = new Date();
+
+  if (!webhook || (!webhook.active && delivery.event !== "webhook.test")) {
+    delivery.status = "failed";
+    delivery.lastError = "Webhook was deleted or disabled";
+    return delivery.save();
+  }
+
+  try {
+    await assertPublicUrl(webhook.url);
+
+    const status = await postPayload(webhook, delivery);
+    delivery.responseStatus = status;
+
+    if (status < 200 || status >= 300) {
+      throw new Error(`Endpoint responded with HTTP ${status}`);
+    }
+
+    delivery.status = "succeeded";
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } catch (error) {
+    delivery.lastError = error.message;
+
+    if (attempts >= MAX_ATTEMPTS) {
+      delivery.status = "failed";
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts));
+    }
+  }
+
+  return delivery.save();
+};
+
+// Queue a delivery of the payload for every active webhook of the project
+// subscribed to the event, and make the first attempt in the background
+export const dispatchWebhooks = async (projectId, event, payload) => {
+  const webhooks = await Webhook.find({
+    projectId,
+    active: true,
+    events: event,
+  });
+
+  if (webhooks.length === 0) return;
+
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map((webhook) => ({
+      webhookId: webhook._id,
+      projectId,
+      event,
+      payload,
+    }))
+  );
+
+  deliveries.forEach((delivery) => {
+    attemptDelivery(delivery._id).catch((error) =>
+      console.error(`Failed to deliver webhook ${delivery._id}:`, error)
+    );
+  });
+};
+
+// Retry every delivery whose backoff has expired. Called by the cron job.
+export const retryWebhookDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find(
+    { status: "pending", nextAttemptAt: { $lte: now } },
+    "_id"
+  )
+    .sort({ nextAttemptAt: 1 })
+    .limit(100);
+
+  for (const delivery of due) {
+    try {
+      await attemptDelivery(delivery._id, now);
+    } catch (error) {
+      console.error(`Failed to deliver webhook ${delivery._id}:`, error);
+    }
+  }
+};
@@ -0,0 +1,144 @@
+// Helpers for the per-project issue workflow (statuses and transitions)
+
+export const STATUS_CATEGORIES = ["todo", "inprogress", "done"];
+
+// Workflow used by projects that never customised theirs. It matches the
+// original hard-coded todo/inprogress/done statuses.
+export const getDefaultWorkflow = () => ({
+  statuses: [
+    { key: "todo", name: "To Do", category: "todo" },
+    { key: "inprogress", name: "In Progress", category: "inprogress" },
+    { key: "done", name: "Done", category: "done" },
+  ],
+  transitions: [],
+  blockDoneWhileBlocked: false,
+});
+
+// Build a status key from its display name ("In Review" -> "inreview")
+export const toStatusKey = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+
+export const getWorkflow = (project) => {
+  const workflow = project?.workflow;
+
+  if (!workflow || !workflow.statuses || workflow.statuses.length === 0) {
+    return getDefaultWorkflow();
+  }
+
+  return workflow;
+};
+
+export const findStatus = (workflow, key) =>
+  workflow.statuses.find((status) => status.key === key);
+
+export const isValidStatus = (workflow, key) => !!findStatus(workflow, key);
+
+export const getStatusCategory = (workflow, key) =>
+  findStatus(workflow, key)?.category || null;
+
+export const getInitialStatus = (workflow) => workflow.statuses[0].key;
+
+// Keys of every status that belongs to the given category
+export const getStatusesInCategory = (workflow, category) =>
+  workflow.statuses
+    .filter((status) => status.category === category)
+    .map((status) => status.key);
+
+// A workflow without transitions lets issues move freely between statuses
+export const canTransition = (workflow, from, to) => {
+  if (from === to) return true;
+  if (!workflow.transitions || workflow.transitions.length === 0) return true;
+
+  return workflow.transitions.some(
+    (transition) => transition.from === from && transition.to === to
+  );
+};
+
+// Statuses an issue can move to from its current status
+export const getAllowedTransitions = (workflow, from) =>
+  workflow.statuses
+    .map((status) => status.key)
+    .filter((key) => key !== from && canTransition(workflow, from, key));
+
+// Normalise a workflow definition sent by a client. Returns
+// { workflow } on success or { error } describing the first problem found.
+export const normalizeWorkflow = ({
+  statuses,
+  transitions,
+  blockDoneWhileBlocked,
+}) => {
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    return { error: "Workflow must define at least one status" };
+  }
+
+  const normalizedStatuses = [];
+
+  for (const status of statuses) {
+    if (!status || !status.name) {
+      return { error: "Every status needs a name" };
+    }
+
+    const key = toStatusKey(status.key || status.name);
+
+    if (!key) {
+      return { error: `Invalid status name "${status.name}"` };
+    }
+
+    if (!STATUS_CATEGORIES.includes(status.category)) {
+      return {
+        error: `Invalid category for status "${
+          status.name
+        }". Allowed categories: ${STATUS_CATEGORIES.join(", ")}`,
+      };
+    }
+
+    if (normalizedStatuses.some((existing) => existing.key === key)) {
+      return { error: `Duplicate status "${status.name}"` };
+    }
+
+    normalizedStatuses.push({
+      key,
+      name: status.name,
+      category: status.category,
+    });
+  }
+
+  if (!normalizedStatuses.some((status) => status.category === "done")) {
+    return { error: "Workflow must have at least one done status" };
+  }
+
+  if (transitions !== undefined && !Array.isArray(transitions)) {
+    return { error: "Transitions must be an array" };
+  }
+
+  const keys = normalizedStatuses.map((status) => status.key);
+  const normalizedTransitions = [];
+
+  for (const transition of transitions || []) {
+    const from = toStatusKey(transition?.from ?? "");
+    const to = toStatusKey(transition?.to ?? "");
+
+    if (!keys.includes(from) || !keys.includes(to)) {
+      return {
+        error: `Transition ${transition?.from} -> ${transition?.to} references an unknown status`,
+      };
+    }
+
+    if (
+      from !== to &&
+      !normalizedTransitions.some((t) => t.from === from && t.to === to)
+    ) {
+      normalizedTransitions.push({ from, to });
+    }
+  }
+
+  return {
+    workflow: {
+      statuses: normalizedStatuses,
+      transitions: normalizedTransitions,
+      blockDoneWhileBlocked: !!blockDoneWhileBlocked,
+    },
+  };
+};